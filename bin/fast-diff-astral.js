@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface to fast-diff-astral.
+ *
+ * Usage: fast-diff-astral [options] <file1> <file2>
+ *
+ * Either file can be '-' to read standard input.  Exits with 0 when the
+ * files are the same, 1 when they differ and 2 on errors, like diff(1).
+ */
+var fs = require('fs');
+var diff = require('../diff.js');
+
+var USAGE = [
+  'Usage: fast-diff-astral [options] <file1> <file2>',
+  '',
+  'Compares two files, either of which can be - for standard input.',
+  '',
+  'Options:',
+  '  -m, --mode <mode>        char, word or line (default)',
+  '  -f, --format <format>    unified (default), json or color',
+  '  -U, --context <lines>    lines of context in unified diffs (default 3)',
+  '  -c, --cleanup <cleanup>  semantic or efficiency',
+  '  -h, --help               show this help',
+  '',
+  'Exits with 0 if the files are the same, 1 if they differ and 2 on errors.',
+  ''
+].join('\n');
+
+var FORMATS = ['unified', 'json', 'color'];
+
+var OPTION_NAMES = {
+  '-m': 'mode', '--mode': 'mode',
+  '-f': 'format', '--format': 'format',
+  '-U': 'context', '--context': 'context',
+  '-c': 'cleanup', '--cleanup': 'cleanup'
+};
+
+
+/**
+ * Parse the command-line arguments.
+ * @param {Array.<string>} args Arguments after the script name.
+ * @return {{files: Array.<string>, options: Object, help: boolean}}
+ * @throws {!Error} If the arguments are invalid.
+ */
+function parseArgs(args) {
+  var parsed = {files: [], options: {}, help: false};
+  for (var i = 0; i < args.length; i++) {
+    var arg = args[i];
+    if (arg === '-h' || arg === '--help') {
+      parsed.help = true;
+      continue;
+    }
+    if (arg === '-' || arg.charAt(0) !== '-') {
+      parsed.files.push(arg);
+      continue;
+    }
+    var value = undefined;
+    var equalsIndex = arg.indexOf('=');
+    if (equalsIndex !== -1) {
+      value = arg.slice(equalsIndex + 1);
+      arg = arg.slice(0, equalsIndex);
+    }
+    var name = OPTION_NAMES[arg];
+    if (!name) {
+      throw new Error('Unknown option: ' + arg);
+    }
+    if (value === undefined) {
+      if (i + 1 >= args.length) {
+        throw new Error('Missing value for ' + arg);
+      }
+      value = args[++i];
+    }
+    parsed.options[name] = value;
+  }
+  return parsed;
+}
+
+
+/**
+ * Read a file, or standard input for '-'.
+ * @param {string} file Path of the file.
+ * @return {string} Contents of the file.
+ */
+function readFile(file) {
+  return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+
+/**
+ * Run the command.
+ * @param {Array.<string>} args Arguments after the script name.
+ * @return {number} Exit code.
+ */
+function main(args) {
+  var parsed;
+  try {
+    parsed = parseArgs(args);
+    if (parsed.help) {
+      process.stdout.write(USAGE);
+      return 0;
+    }
+    if (parsed.files.length !== 2) {
+      throw new Error('Expected two files');
+    }
+    if (parsed.files[0] === '-' && parsed.files[1] === '-') {
+      throw new Error('Only one file can be read from standard input');
+    }
+    var format = parsed.options.format || 'unified';
+    if (FORMATS.indexOf(format) === -1) {
+      throw new Error('Unknown format: ' + format);
+    }
+    var context = parsed.options.context;
+    if (context !== undefined) {
+      if (!/^\d+$/.test(context)) {
+        throw new Error('Invalid number of context lines: ' + context);
+      }
+      context = Number(context);
+    }
+
+    var text1 = readFile(parsed.files[0]);
+    var text2 = readFile(parsed.files[1]);
+    var diffs = diff(text1, text2, {
+      mode: parsed.options.mode || 'line',
+      cleanup: parsed.options.cleanup
+    });
+  } catch (e) {
+    process.stderr.write('fast-diff-astral: ' + e.message + '\n');
+    if (!parsed || !parsed.files.length) {
+      process.stderr.write('\n' + USAGE);
+    }
+    return 2;
+  }
+
+  var output;
+  if (format === 'json') {
+    output = JSON.stringify(diffs) + '\n';
+  } else if (format === 'color') {
+    output = diff.render.ansi(diffs);
+  } else {
+    output = diff.render.unified(diffs, {
+      context: context,
+      from: parsed.files[0],
+      to: parsed.files[1]
+    });
+  }
+  process.stdout.write(output);
+
+  for (var x = 0; x < diffs.length; x++) {
+    if (diffs[x][0] !== diff.EQUAL) {
+      return 1;
+    }
+  }
+  return 0;
+}
+
+
+process.exitCode = main(process.argv.slice(2));
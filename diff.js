@@ -1,7 +1,7 @@
 /**
  * This library modifies the diff-patch-match library by Neil Fraser
- * by removing the patch and match functionality and certain advanced
- * options in the diff function. The original license is as follows:
+ * by working on arrays of symbols rather than strings, so that surrogate
+ * pairs are never split. The original license is as follows:
  *
  * ===
  *
@@ -25,6 +25,9 @@
 
 // load dependencies
 var isEqual = require('lodash.isequal');
+var GraphemeSplitter = require('grapheme-splitter');
+
+var graphemeSplitter = new GraphemeSplitter();
 
 /**
  * The data structure representing a diff is an array of tuples:
@@ -35,6 +38,95 @@ var DIFF_DELETE = -1;
 var DIFF_INSERT = 1;
 var DIFF_EQUAL = 0;
 
+/**
+ * With move detection, a block deleted in one place and inserted in another
+ * is reported as two moves: [DIFF_MOVE, 'Hello', {to: 5}] where it was in
+ * text1, and [DIFF_MOVE, 'Hello', {from: 1}] where it is in text2, the
+ * references being the indexes of the other tuple.
+ */
+var DIFF_MOVE = 2;
+
+
+/**
+ * How strings are split into symbols: 'codepoint' keeps surrogate pairs
+ * together, 'grapheme' keeps extended grapheme clusters (UAX #29) together.
+ */
+var GRANULARITIES = ['codepoint', 'grapheme'];
+
+/**
+ * What is diffed: 'char' diffs symbols of the chosen granularity, 'word'
+ * diffs words, whitespace runs and punctuation, 'line' diffs whole lines.
+ */
+var MODES = ['char', 'word', 'line'];
+
+/**
+ * Optional post-processing of the diff: 'semantic' trades minimality for
+ * human readability, 'efficiency' trades it for fewer, larger operations.
+ */
+var CLEANUPS = ['semantic', 'efficiency'];
+
+/**
+ * How the changed middle of the texts is diffed: 'myers' bisects it
+ * directly, 'patience' first anchors on symbols occurring once in both
+ * texts, 'histogram' on runs around the rarest common symbols.  Anchoring
+ * gives more natural diffs of code, where braces and blank lines repeat.
+ */
+var ALGORITHMS = ['myers', 'patience', 'histogram'];
+
+/**
+ * Symbols occurring more often than this in the old text are never chosen
+ * as anchors by the histogram algorithm.
+ */
+var HISTOGRAM_MAX_CHAIN = 64;
+
+/**
+ * Default cost of an empty edit operation in terms of edit symbols, used by
+ * the efficiency cleanup.
+ */
+var DEFAULT_EDIT_COST = 4;
+
+/**
+ * Default shortest block, in code points, which move detection reports as
+ * moved.  Shorter blocks are too likely to recur by coincidence.
+ */
+var MOVE_MIN_LENGTH = 20;
+
+/**
+ * How lengths and positions in strings are counted: 'codepoint' counts
+ * surrogate pairs as one, 'utf16' counts UTF-16 code units like
+ * String.prototype.length does, 'grapheme' counts extended grapheme
+ * clusters.
+ */
+var UNITS = ['codepoint', 'utf16', 'grapheme'];
+
+/**
+ * What diff_start returns in the diff tuples: 'strings', the arrays of
+ * 'symbols' which were diffed, or 'ranges' records of the offsets of each
+ * diff in both texts.
+ */
+var OUTPUTS = ['strings', 'symbols', 'ranges'];
+
+/**
+ * Unicode normalization forms under which symbols can be compared, see
+ * String.prototype.normalize.
+ */
+var NORMALIZATIONS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+// Define some regex patterns for the ignore options.
+var LINE_ENDING_REGEX = /\r\n?/g;
+var WHITESPACE_RUN_REGEX = /\s+/g;
+var BLANK_REGEX = /^\s+$/;
+// Lower case depends on context for sigma only: a final one becomes ς.
+var FINAL_SIGMA_REGEX = /\u03C2/g;
+
+/**
+ * Splits words from whitespace runs and single punctuation characters.
+ * Anything which is neither whitespace nor ASCII or general punctuation
+ * (underscores excepted) is considered part of a word, so surrogate pairs
+ * always stay together.
+ */
+var WORD_REGEX = /\s+|[^\s!-\/:-@\[-\^`{-~\u00A1\u00A7\u00AB\u00B6\u00B7\u00BB\u00BF\u2000-\u206F\u2E00-\u2E7F\u3000-\u303F]+|[\s\S]/g;
+
 
 /**
  * Entry point for finding difference between two texts.
@@ -42,30 +134,377 @@ var DIFF_EQUAL = 0;
  * then converts resulting diffs back to strings.
  * @param {string} text1 Old string to be diffed.
  * @param {string} text2 New string to be diffed.
- * @returns {Array} Array of diff tubles. Diffs contain strings.
+ * @param {Object=} options Optional settings:
+ *     granularity {string} 'codepoint' (default) or 'grapheme'.
+ *     mode {string} 'char' (default), 'word' or 'line'.
+ *     tokenize {function(string): Array.<string>} Custom tokenizer for word
+ *         mode, implies mode 'word'. The tokens must join back to the text.
+ *     refine {boolean} In word and line mode, re-diff changed tokens by
+ *         symbols.
+ *     timeout {number} Milliseconds to spend diffing before settling for a
+ *         coarser result.
+ *     deadline {number} Time (as returned by Date.now) at which to settle
+ *         for a coarser result. Cannot be combined with timeout.
+ *     cleanup {string} Optional post-processing, 'semantic' or
+ *         'efficiency'.
+ *     editCost {number} Cost of an empty edit operation in symbols for the
+ *         efficiency cleanup, defaults to 4.
+ *     cursorPos {number|Object} In char mode, the cursor position in text1
+ *         or the selection ranges before and after the edit, as
+ *         {oldRange: {index, length}, newRange: {index, length}}, counted
+ *         in symbols. When the texts differ by a single edit at the cursor,
+ *         that edit is returned as is, without cleanup.
+ *     output {string} See OUTPUTS, defaults to 'strings'.
+ *     unit {string} For ranges output, see UNITS, defaults to 'codepoint'.
+ *     algorithm {string} See ALGORITHMS, defaults to 'myers'.
+ *     exact {boolean|string} true to always find a minimal diff, skipping
+ *         the heuristics which can give up minimality for speed; 'linear'
+ *         to also bound memory use to the size of the edit script.
+ *     moves {boolean|Object} Report blocks deleted in one place and
+ *         inserted in another as moves, see DIFF_MOVE. An object can set
+ *         minLength {number}, the shortest block in code points (defaults
+ *         to MOVE_MIN_LENGTH), and similarity {number}, the share of a
+ *         block which must be unchanged, from 0 to 1 (the default,
+ *         identical blocks only).
+ *     ignoreWhitespace {boolean} Compare symbols without their whitespace,
+ *         so that all whitespace runs are equal.
+ *     ignoreCase {boolean} Compare symbols in lower case, with final
+ *         sigmas as sigmas.
+ *     ignoreLineEndings {boolean} Compare CRLF and CR line endings as LF.
+ *     normalize {string} Compare symbols in a normalization form, see
+ *         NORMALIZATIONS.
+ *     With any of these four, the diff tuples still contain the original
+ *     symbols, those of text1 for equalities.  Equalities whose symbols
+ *     differ in text2 have {text2} with those as a third element.
+ * @returns {Array} Array of diff tubles. Diffs contain strings or arrays
+ *     of symbols; or array of {op, start1, end1, start2, end2} ranges. When
+ *     a timeout or deadline is given, the array has a truncated property
+ *     telling whether the deadline was hit.
+ */
+function diff_start(text1, text2, options) {
+  options = options || {};
+  var granularity = options.granularity || 'codepoint';
+  if (GRANULARITIES.indexOf(granularity) === -1) {
+    throw new Error('Unknown granularity: ' + granularity);
+  }
+  var tokenize = options.tokenize;
+  if (tokenize && typeof tokenize !== 'function') {
+    throw new TypeError('options.tokenize must be a function');
+  }
+  var mode = options.mode || (tokenize ? 'word' : 'char');
+  if (MODES.indexOf(mode) === -1) {
+    throw new Error('Unknown mode: ' + mode);
+  }
+  if (tokenize && mode !== 'word') {
+    throw new Error('options.tokenize can only be used in word mode');
+  }
+  var cleanup = options.cleanup;
+  if (cleanup && CLEANUPS.indexOf(cleanup) === -1) {
+    throw new Error('Unknown cleanup: ' + cleanup);
+  }
+  var editCost = options.editCost;
+  if (editCost === undefined) {
+    editCost = DEFAULT_EDIT_COST;
+  } else if (typeof editCost !== 'number' || !(editCost >= 0)) {
+    throw new TypeError('options.editCost must be a non-negative number');
+  }
+  var cursorPos = options.cursorPos;
+  if (cursorPos != null && mode !== 'char') {
+    throw new Error('options.cursorPos can only be used in char mode');
+  }
+  var output = options.output || 'strings';
+  if (OUTPUTS.indexOf(output) === -1) {
+    throw new Error('Unknown output: ' + output);
+  }
+  var unit = options.unit;
+  if (unit && output !== 'ranges') {
+    throw new Error('options.unit can only be used with ranges output');
+  }
+  if (unit && UNITS.indexOf(unit) === -1) {
+    throw new Error('Unknown unit: ' + unit);
+  }
+  var moves = options.moves ? diff_moveOptions_(options.moves) : null;
+  var algorithm = options.algorithm || 'myers';
+  if (ALGORITHMS.indexOf(algorithm) === -1) {
+    throw new Error('Unknown algorithm: ' + algorithm);
+  }
+  var context = diff_context_(options);
+  context.algorithm = algorithm;
+  if (context.exact && algorithm !== 'myers') {
+    throw new Error('options.exact can only be used with the myers ' +
+                    'algorithm');
+  }
+  if (context.exact && cursorPos != null) {
+    throw new Error('options.cursorPos cannot be combined with ' +
+                    'options.exact');
+  }
+  context.key = diff_keyFunction_(options);
+  if (context.key && cursorPos != null) {
+    throw new Error('options.cursorPos cannot be combined with ignore ' +
+                    'or normalize options');
+  }
+
+  var diffs;
+  var cursorEdit = false;
+  if (mode === 'line') {
+    diffs = diff_tokenMode_(text1, text2, stringToLinesArray, granularity,
+                            options.refine, context);
+  } else if (mode === 'word') {
+    diffs = diff_tokenMode_(text1, text2, tokenize || stringToWordsArray,
+                            granularity, options.refine, context);
+  } else if (context.key) {
+    diffs = diff_keyedMain_(
+        stringToComparableSymbols(text1, granularity, options),
+        stringToComparableSymbols(text2, granularity, options), context);
+    // Split merged symbols back up.
+    for (var i = 0; i < diffs.length; i++) {
+      diffs[i][1] = stringToSymbolsArray(symbolsArrayToString(diffs[i][1]),
+                                         granularity);
+    }
+  } else {
+    var encoded = diff_encodeSymbols_(text1, text2, granularity);
+
+    if (cursorPos != null) {
+      diffs = diff_cursorEdit_(encoded.symbols1, encoded.symbols2, cursorPos);
+      cursorEdit = !!diffs;
+    }
+    if (!cursorEdit) {
+      diffs = diff_main(encoded.symbols1, encoded.symbols2, context);
+    }
+    diff_decodeSymbols_(diffs, encoded.tokenArray);
+  }
+
+  if (cursorEdit) {
+    // The edit is where the user made it, don't shift it around.
+  } else if (cleanup === 'semantic') {
+    diff_cleanupSemantic(diffs);
+  } else if (cleanup === 'efficiency') {
+    diff_cleanupEfficiency(diffs, editCost);
+  }
+  if (context.key) {
+    var tokens = mode !== 'char' && !options.refine;
+    var tokenizer = mode === 'line' ? stringToLinesArray :
+        tokenize || stringToWordsArray;
+    diffs = diff_keyedText2_(diffs, text2, function(string) {
+      return tokens ? tokenizeString(string, tokenizer) :
+                      stringToSymbolsArray(string, granularity);
+    }, tokens, options, context.key);
+  }
+  if (moves) {
+    diff_detectMoves_(diffs, moves.minLength, moves.similarity, context);
+  }
+
+  if (output !== 'symbols') {
+    // Convert diffs to strings
+    diff_convertToStrings(diffs);
+  }
+  if (output === 'ranges') {
+    diffs = diff_toRanges_(diffs, unit || 'codepoint');
+  }
+
+  return diff_reportTruncation_(diffs, context);
+}
+
+/**
+ * Entry point for finding difference between two arrays of arbitrary
+ * values (tokens, AST nodes, records...). Values are compared with strict
+ * equality unless an equals function is given.
+ * @param {Array} array1 Old array to be diffed.
+ * @param {Array} array2 New array to be diffed.
+ * @param {Object=} options Optional settings:
+ *     equals {function(*, *): boolean} Custom value comparison.
+ *     timeout {number} See diff_start.
+ *     deadline {number} See diff_start.
+ *     exact {boolean|string} See diff_start.
+ * @returns {Array} Array of diff tuples. Diffs contain array slices.
  */
-function diff_start(text1, text2) {
-  var text1Syms = stringToSymbolsArray(text1);
-  var text2Syms = stringToSymbolsArray(text2);
+function diff_arrays(array1, array2, options) {
+  options = options || {};
+  var equals = options.equals;
+  if (equals && typeof equals !== 'function') {
+    throw new TypeError('options.equals must be a function');
+  }
+  var context = diff_context_(options);
+  context.equals = equals;
+
+  // Copy the inputs so the returned slices never alias the caller's arrays.
+  var diffs = diff_main(array1.slice(), array2.slice(), context);
+
+  return diff_reportTruncation_(diffs, context);
+}
+
 
-  var diffs = diff_main(text1Syms,text2Syms);
+/**
+ * Build the context which is threaded through a diff computation.
+ * @param {Object} options Options given to an entry point.
+ * @return {{equals: (function(*, *): boolean|undefined),
+ *     deadline: (number|undefined), truncated: boolean, algorithm: string,
+ *     exact: (boolean|string), key: ?function(string): string}}
+ *     The symbol comparison (undefined for strict equality), the time at
+ *     which to give up (undefined for no limit), whether it was hit, the
+ *     diff algorithm (see ALGORITHMS), whether the diff must be minimal
+ *     ('linear' to also bound memory use) and the key under which tokens
+ *     are compared (null to compare them as they are).
+ * @private
+ */
+function diff_context_(options) {
+  var deadline = options.deadline;
+  var timeout = options.timeout;
+  if (deadline !== undefined && timeout !== undefined) {
+    throw new Error('Only one of options.timeout and options.deadline ' +
+                    'can be given');
+  }
+  if (timeout !== undefined) {
+    if (typeof timeout !== 'number' || isNaN(timeout)) {
+      throw new TypeError('options.timeout must be a number');
+    }
+    deadline = Date.now() + timeout;
+  } else if (deadline !== undefined &&
+             (typeof deadline !== 'number' || isNaN(deadline))) {
+    throw new TypeError('options.deadline must be a number');
+  }
+  var exact = options.exact || false;
+  if (exact !== true && exact !== false && exact !== 'linear') {
+    throw new Error('Unknown exact mode: ' + exact);
+  }
+  return {equals: undefined, deadline: deadline, truncated: false,
+          algorithm: 'myers', exact: exact, key: null};
+}
 
-  // Convert diffs to strings
-  diff_convertToStrings(diffs);
 
+/**
+ * Flag diffs computed against a deadline with whether it was hit.
+ * @param {Array} diffs Array of diff tuples.
+ * @param {Object} context Context the diffs were computed with.
+ * @return {Array} The given diffs.
+ * @private
+ */
+function diff_reportTruncation_(diffs, context) {
+  if (context.deadline !== undefined) {
+    diffs.truncated = context.truncated;
+  }
   return diffs;
 }
 
+/**
+ * Try to explain the change between two arrays of symbols as a single edit
+ * at the cursor. Typing a repeated symbol (e.g. 'aa' -> 'aaa') can be
+ * described by several minimal diffs; the cursor tells which one happened.
+ * @param {Array.<string>} text1 Old array of symbols.
+ * @param {Array.<string>} text2 New array of symbols.
+ * @param {number|Object} cursorPos Cursor position in text1, or the
+ *     selection ranges {oldRange: {index, length}, newRange: {index, length}}
+ *     before and after the edit.
+ * @return {?Array} Array of diff tuples. Diffs contain arrays of symbols.
+ *     Or null if the change is not a single edit at the cursor.
+ * @private
+ */
+function diff_cursorEdit_(text1, text2, cursorPos) {
+  var oldRange, newRange;
+  if (typeof cursorPos === 'number') {
+    oldRange = {index: cursorPos, length: 0};
+    newRange = null;
+  } else if (cursorPos && typeof cursorPos === 'object' && cursorPos.oldRange) {
+    oldRange = cursorPos.oldRange;
+    newRange = cursorPos.newRange || null;
+  } else {
+    throw new TypeError('options.cursorPos must be a number or an object ' +
+                        'with an oldRange');
+  }
+
+  if ( arraysEqual(text1, text2) ) {
+    // Nothing was edited.
+    return null;
+  }
+  var text1_length = text1.length;
+  var text2_length = text2.length;
+  var oldCursor = oldRange.index;
+  if (oldCursor < 0 || oldCursor + oldRange.length > text1_length) {
+    return null;
+  }
+
+  var prefixLength, suffixLength;
+  if (oldRange.length === 0 && (!newRange || newRange.length === 0)) {
+    // Is this an insert or delete right before the cursor (typing or
+    // backspace)?  The cursor then moves by the length difference.
+    var newCursor = oldCursor + text2_length - text1_length;
+    if ((!newRange || newRange.index === newCursor) &&
+        newCursor >= 0 && newCursor <= text2_length &&
+        arraysEqual(text1.slice(oldCursor), text2.slice(newCursor))) {
+      prefixLength = Math.min(oldCursor, newCursor);
+      if ( arraysEqual(text1.slice(0, prefixLength),
+                       text2.slice(0, prefixLength)) ) {
+        return diff_editSplice_(text1, text2, prefixLength,
+                                text1_length - oldCursor);
+      }
+    }
+    // Is this an insert or delete right after the cursor (forward delete)?
+    // The cursor then stays in place.
+    if ((!newRange || newRange.index === oldCursor) &&
+        oldCursor <= text2_length &&
+        arraysEqual(text1.slice(0, oldCursor), text2.slice(0, oldCursor))) {
+      suffixLength = Math.min(text1_length, text2_length) - oldCursor;
+      if ( arraysEqual(text1.slice(text1_length - suffixLength),
+                       text2.slice(text2_length - suffixLength)) ) {
+        return diff_editSplice_(text1, text2, oldCursor, suffixLength);
+      }
+    }
+  } else if (oldRange.length > 0 && newRange && newRange.length === 0) {
+    // Was the old selection replaced (typing over a selection)?
+    prefixLength = oldCursor;
+    suffixLength = text1_length - oldCursor - oldRange.length;
+    if (text2_length >= prefixLength + suffixLength &&
+        arraysEqual(text1.slice(0, prefixLength),
+                    text2.slice(0, prefixLength)) &&
+        arraysEqual(text1.slice(text1_length - suffixLength),
+                    text2.slice(text2_length - suffixLength))) {
+      return diff_editSplice_(text1, text2, prefixLength, suffixLength);
+    }
+  }
+  return null;
+}
+
+
+/**
+ * Build the diff of a single edit between a common prefix and suffix.
+ * @param {Array.<string>} text1 Old array of symbols.
+ * @param {Array.<string>} text2 New array of symbols.
+ * @param {number} prefixLength Length of the common prefix.
+ * @param {number} suffixLength Length of the common suffix.
+ * @return {Array} Array of diff tuples. Diffs contain arrays of symbols.
+ * @private
+ */
+function diff_editSplice_(text1, text2, prefixLength, suffixLength) {
+  var diffs = [
+    [DIFF_EQUAL, text1.slice(0, prefixLength)],
+    [DIFF_DELETE, text1.slice(prefixLength, text1.length - suffixLength)],
+    [DIFF_INSERT, text2.slice(prefixLength, text2.length - suffixLength)],
+    [DIFF_EQUAL, text1.slice(text1.length - suffixLength)]
+  ];
+  // Drop the empty parts.
+  return diffs.filter(function(diff) {
+    return diff[1].length > 0;
+  });
+}
+
+
 /**
  * Find the differences between two symbols arrays.  Simplifies the problem by stripping
  * any common prefix or suffix off the texts before diffing.
  * @param {Array.<string>} text1 Old array of symbols to be diffed.
  * @param {Array.<string>} text2 New array of symbols to be diffed.
+ * @param {Object=} context Optional diff context, see diff_context_.
  * @return {Array} Array of diff tuples. Diffs contain arrays of symbols.
  */
-function diff_main(text1, text2) {
+function diff_main(text1, text2, context) {
+  var equals = context && context.equals;
+
+  if (context && context.exact === 'linear') {
+    return diff_linear_(text1, text2, context);
+  }
+
   // Check for equality (speedup).
-  if ( isEqual(text1, text2) ) {
+  if ( arraysEqual(text1, text2, equals) ) {
     if ( text1.length > 0 ) {
       return [[DIFF_EQUAL, text1]];
     }
@@ -73,19 +512,19 @@ function diff_main(text1, text2) {
   }
 
   // Trim off common prefix (speedup).
-  var commonlength = diff_commonPrefix(text1, text2);
+  var commonlength = diff_commonPrefix(text1, text2, equals);
   var commonprefix = text1.slice(0, commonlength);
   text1 = text1.slice(commonlength);
   text2 = text2.slice(commonlength);
 
   // Trim off common suffix (speedup).
-  commonlength = diff_commonSuffix(text1, text2);
+  commonlength = diff_commonSuffix(text1, text2, equals);
   var commonsuffix = text1.slice(text1.length - commonlength);
   text1 = text1.slice(0, text1.length - commonlength);
   text2 = text2.slice(0, text2.length - commonlength);
 
   // Compute the diff on the middle block.
-  var diffs = diff_compute_(text1, text2);
+  var diffs = diff_compute_(text1, text2, context);
 
   // Restore the prefix and suffix.
   if (commonprefix.length > 0) {
@@ -94,7 +533,7 @@ function diff_main(text1, text2) {
   if (commonsuffix.length > 0) {
     diffs.push([DIFF_EQUAL, commonsuffix]);
   }
-  diff_cleanupMerge(diffs);
+  diff_cleanupMerge(diffs, equals);
 
   return diffs;
 };
@@ -105,9 +544,11 @@ function diff_main(text1, text2) {
  * Assumes that the texts do not have any common prefix or suffix.
  * @param {Array.<string>} text1 Old array of symbols to be diffed.
  * @param {Array.<string>} text2 New array of symbols to be diffed.
+ * @param {Object=} context Optional diff context, see diff_context_.
  * @return {Array} Array of diff tuples. Diffs contain arrays of symbols.
  */
-function diff_compute_(text1, text2) {
+function diff_compute_(text1, text2, context) {
+  var equals = context && context.equals;
   var diffs;
 
   if ( text1.length === 0 ) {
@@ -123,7 +564,7 @@ function diff_compute_(text1, text2) {
   var longtext = text1.length > text2.length ? text1 : text2;
   var shorttext = text1.length > text2.length ? text2 : text1;
 
-  var i = subArrayIndexOf(longtext, shorttext);
+  var i = subArrayIndexOf(longtext, shorttext, 0, equals);
   if (i != -1) {
     // Shorter text is inside the longer text (speedup).
     diffs = [[DIFF_INSERT, longtext.slice(0, i)],
@@ -142,8 +583,22 @@ function diff_compute_(text1, text2) {
     return [[DIFF_DELETE, text1], [DIFF_INSERT, text2]];
   }
 
+  // Anchor on rare symbols, leaving only what has none to the bisection.
+  // Symbols are hashed, so this needs strict equality.
+  var algorithm = context && context.algorithm;
+  if (!equals && (algorithm === 'patience' || algorithm === 'histogram')) {
+    var anchored = algorithm === 'patience' ?
+        diff_patience_(text1, text2, context) :
+        diff_histogram_(text1, text2, context);
+    if (anchored) {
+      return anchored;
+    }
+  }
+
   // Check to see if the problem can be split in two.
-  var hm = diff_halfMatch_(text1, text2);
+  // The split need not be on the minimal diff's path, so exact diffs skip it.
+  var hm = context && context.exact ? null :
+      diff_halfMatch_(text1, text2, equals);
   if (hm) {
     // A half-match was found, sort out the return data.
     var text1_a = hm[0];
@@ -152,36 +607,137 @@ function diff_compute_(text1, text2) {
     var text2_b = hm[3];
     var mid_common = hm[4];
     // Send both pairs off for separate processing.
-    var diffs_a = diff_main(text1_a, text2_a);
-    var diffs_b = diff_main(text1_b, text2_b);
+    var diffs_a = diff_main(text1_a, text2_a, context);
+    var diffs_b = diff_main(text1_b, text2_b, context);
     // Merge the results.
     return diffs_a.concat([[DIFF_EQUAL, mid_common]], diffs_b);
   }
 
-  return diff_bisect_(text1, text2);
+  return diff_bisect_(text1, text2, context);
 };
 
 
+/**
+ * Do a quick token-level (e.g. line-level) diff on both texts, then
+ * optionally rediff the parts for greater accuracy.
+ * This speedup can produce non-minimal diffs.
+ * @param {string} text1 Old string to be diffed.
+ * @param {string} text2 New string to be diffed.
+ * @param {function(string): Array.<string>} tokenize Splits a string into
+ *     tokens which join back to the string.
+ * @param {string} granularity Granularity used to rediff changed tokens.
+ * @param {boolean=} refine Whether to rediff changed tokens.
+ * @param {Object=} context Optional diff context, see diff_context_.
+ * @return {Array} Array of diff tuples. Diffs contain arrays of tokens, or
+ *     arrays of symbols when refined.
+ */
+function diff_tokenMode_(text1, text2, tokenize, granularity, refine,
+                         context) {
+  var tokens1 = tokenizeString(text1, tokenize);
+  var tokens2 = tokenizeString(text2, tokenize);
+  var diffs;
+  if (context && context.key) {
+    diffs = diff_keyedMain_(tokens1, tokens2, context);
+  } else {
+    // Scan the text on a token-by-token basis first.
+    var a = diff_tokensToSymbols_(tokens1, tokens2);
+    diffs = diff_main(a.symbols1, a.symbols2, context);
+
+    // Convert the diff back to original text.
+    diff_symbolsToTokens_(diffs, a.tokenArray);
+  }
+  if (refine) {
+    diff_refine_(diffs, granularity, context);
+  }
+  return diffs;
+}
+
+
+/**
+ * Rediff the replacement blocks of a token-level diff symbol by symbol.
+ * @param {Array} diffs Array of diff tuples. Diffs contain arrays of tokens,
+ *     and are changed to contain arrays of symbols.
+ * @param {string} granularity Granularity to split the tokens with.
+ * @param {Object=} context Optional diff context, see diff_context_.
+ * @private
+ */
+function diff_refine_(diffs, granularity, context) {
+  // Split the tokens back into symbols so they can be rediffed and merged.
+  var diffsLen = diffs.length;
+  for (var i = 0; i < diffsLen; i++) {
+    diffs[i][1] = stringToSymbolsArray(symbolsArrayToString(diffs[i][1]),
+                                       granularity);
+  }
+
+  // Rediff any replacement blocks, this time symbol-by-symbol.
+  // Add a dummy entry at the end.
+  diffs.push([DIFF_EQUAL, []]);
+  var pointer = 0;
+  var count_delete = 0;
+  var count_insert = 0;
+  var text_delete = [];
+  var text_insert = [];
+  while (pointer < diffs.length) {
+    switch (diffs[pointer][0]) {
+      case DIFF_INSERT:
+        count_insert++;
+        text_insert = text_insert.concat( diffs[pointer][1] );
+        break;
+      case DIFF_DELETE:
+        count_delete++;
+        text_delete = text_delete.concat( diffs[pointer][1] );
+        break;
+      case DIFF_EQUAL:
+        // Upon reaching an equality, check for prior redundancies.
+        if (count_delete >= 1 && count_insert >= 1) {
+          // Delete the offending records and add the merged ones.
+          diffs.splice(pointer - count_delete - count_insert,
+                       count_delete + count_insert);
+          pointer = pointer - count_delete - count_insert;
+          var subDiff = context && context.key ?
+              diff_keyedMain_(text_delete, text_insert, context) :
+              diff_main(text_delete, text_insert, context);
+          for (var j = subDiff.length - 1; j >= 0; j--) {
+            diffs.splice(pointer, 0, subDiff[j]);
+          }
+          pointer = pointer + subDiff.length;
+        }
+        count_insert = 0;
+        count_delete = 0;
+        text_delete = [];
+        text_insert = [];
+        break;
+    }
+    pointer++;
+  }
+  diffs.pop();  // Remove the dummy entry at the end.
+  diff_cleanupMerge(diffs);
+}
+
+
 /**
  * Find the 'middle snake' of a diff, split the problem in two
  * and return the recursively constructed diff.
  * See Myers 1986 paper: An O(ND) Difference Algorithm and Its Variations.
  * @param {Array.<string>} text1 Old array of symbols to be diffed.
  * @param {Array.<string>} text2 New array of symbols to be diffed.
+ * @param {Object=} context Optional diff context, see diff_context_.
+ *     Flagged as truncated if the deadline is hit.
  * @return {Array} Array of diff tuples. Diffs contain arrays of symbols.
  * @private
  */
-function diff_bisect_(text1, text2) {
+function diff_bisect_(text1, text2, context) {
+  var equals = context && context.equals;
+  var deadline = context && context.deadline;
   // Cache the text lengths to prevent multiple calls.
   var text1_length = text1.length;
   var text2_length = text2.length;
   var max_d = Math.ceil((text1_length + text2_length) / 2);
   var v_offset = max_d;
   var v_length = 2 * max_d;
-  var v1 = new Array(v_length);
-  var v2 = new Array(v_length);
-  // Setting all elements to -1 is faster in Chrome & Firefox than mixing
-  // integers and undefined.
+  // Typed arrays hold the offsets unboxed, -1 marks unvisited diagonals.
+  var v1 = new Int32Array(v_length);
+  var v2 = new Int32Array(v_length);
   for (var x = 0; x < v_length; x++) {
     v1[x] = -1;
     v2[x] = -1;
@@ -199,6 +755,12 @@ function diff_bisect_(text1, text2) {
   var k2start = 0;
   var k2end = 0;
   for (var d = 0; d < max_d; d++) {
+    // Bail out if deadline is reached.
+    if (deadline !== undefined && Date.now() > deadline) {
+      context.truncated = true;
+      break;
+    }
+
     // Walk the front path one step.
     for (var k1 = -d + k1start; k1 <= d - k1end; k1 += 2) {
       var k1_offset = v_offset + k1;
@@ -210,7 +772,8 @@ function diff_bisect_(text1, text2) {
       }
       var y1 = x1 - k1;
       while (x1 < text1_length && y1 < text2_length &&
-             text1[x1] == text2[y1]) {
+             (equals ? equals(text1[x1], text2[y1]) :
+                       text1[x1] === text2[y1])) {
         x1++;
         y1++;
       }
@@ -228,7 +791,7 @@ function diff_bisect_(text1, text2) {
           var x2 = text1_length - v2[k2_offset];
           if (x1 >= x2) {
             // Overlap detected.
-            return diff_bisectSplit_(text1, text2, x1, y1);
+            return diff_bisectSplit_(text1, text2, x1, y1, context);
           }
         }
       }
@@ -245,8 +808,10 @@ function diff_bisect_(text1, text2) {
       }
       var y2 = x2 - k2;
       while (x2 < text1_length && y2 < text2_length &&
-             text1[text1_length - x2 - 1] ==
-             text2[text2_length - y2 - 1]) {
+             (equals ? equals(text1[text1_length - x2 - 1],
+                              text2[text2_length - y2 - 1]) :
+                       text1[text1_length - x2 - 1] ===
+                       text2[text2_length - y2 - 1])) {
         x2++;
         y2++;
       }
@@ -266,7 +831,7 @@ function diff_bisect_(text1, text2) {
           x2 = text1_length - x2;
           if (x1 >= x2) {
             // Overlap detected.
-            return diff_bisectSplit_(text1, text2, x1, y1);
+            return diff_bisectSplit_(text1, text2, x1, y1, context);
           }
         }
       }
@@ -285,325 +850,4273 @@ function diff_bisect_(text1, text2) {
  * @param {Array.<string>} text2 New array of symbols to be diffed.
  * @param {number} x Index of split point in text1.
  * @param {number} y Index of split point in text2.
+ * @param {Object=} context Optional diff context, see diff_context_.
  * @return {Array} Array of diff tuples. Diffs contain arrays of symbols.
  */
-function diff_bisectSplit_(text1, text2, x, y) {
+function diff_bisectSplit_(text1, text2, x, y, context) {
   var text1a = text1.slice(0, x);
   var text2a = text2.slice(0, y);
   var text1b = text1.slice(x);
   var text2b = text2.slice(y);
 
   // Compute both diffs serially.
-  var diffs = diff_main(text1a, text2a);
-  var diffsb = diff_main(text1b, text2b);
+  var diffs = diff_main(text1a, text2a, context);
+  var diffsb = diff_main(text1b, text2b, context);
 
   return diffs.concat(diffsb);
 };
 
 
 /**
- * Determine the common prefix of two arrays of symbols.
- * @param {Array.<string>} text1 First array of symbols.
- * @param {Array.<string>} text2 Second array of symbols.
- * @return {number} The number of symbols common to the start of each
- *     array.
+ * Find a minimal diff of two arrays of symbols in little memory.  Unlike
+ * diff_bisect_, the texts are never copied: the bisection works on ranges
+ * of them, and its search arrays are shared by all ranges and only grow as
+ * far as the number of edits requires.
+ * @param {Array} text1 Old array of symbols to be diffed.
+ * @param {Array} text2 New array of symbols to be diffed.
+ * @param {Object} context Diff context, see diff_context_.
+ * @return {Array} Array of diff tuples. Diffs contain arrays of symbols.
+ * @private
  */
-function diff_commonPrefix(text1, text2) {
-  // Quick check for common null cases.
-  if (!text1 || !text2 || text1[0] != text2[0]) {
-    return 0;
-  }
-  // Binary search.
-  // Performance analysis: http://neil.fraser.name/news/2007/10/09/
-  var pointermin = 0;
-  var pointermax = Math.min(text1.length, text2.length);
-  var pointermid = pointermax;
-  var pointerstart = 0;
-  while (pointermin < pointermid) {
-    if ( isEqual( text1.slice(pointerstart, pointermid),
-         text2.slice(pointerstart, pointermid) ) ) {
-      pointermin = pointermid;
-      pointerstart = pointermin;
-    } else {
-      pointermax = pointermid;
-    }
-    pointermid = Math.floor((pointermax - pointermin) / 2 + pointermin);
-  }
-  return pointermid;
-};
+function diff_linear_(text1, text2, context) {
+  var search = {v1: new Int32Array(0), v2: new Int32Array(0), offset: 0};
+  var diffs = [];
+  diff_linearRange_(text1, 0, text1.length, text2, 0, text2.length,
+                    context, search, diffs);
+  diff_cleanupMerge(diffs, context.equals);
+  return diffs;
+}
 
 
 /**
- * Determine the common suffix of two arrays of symbols.
- * @param {Array.<string>} text1 First array of symbols.
- * @param {Array.<string>} text2 Second array of symbols.
- * @return {number} The number of symbols common to the end of each array.
+ * Diff a range of text1 against a range of text2, appending the diff tuples
+ * to diffs.
+ * @param {Array} text1 Old array of symbols.
+ * @param {number} start1 Start of the range in text1.
+ * @param {number} end1 End of the range in text1.
+ * @param {Array} text2 New array of symbols.
+ * @param {number} start2 Start of the range in text2.
+ * @param {number} end2 End of the range in text2.
+ * @param {Object} context Diff context, see diff_context_.
+ * @param {Object} search Search arrays, see diff_linearSnake_.
+ * @param {Array} diffs Array of diff tuples to append to.
+ * @private
  */
-function diff_commonSuffix(text1, text2) {
-  // Quick check for common null cases.
-  if (!text1 || !text2 ||
-      text1[text1.length - 1] != text2[text2.length - 1]) {
-    return 0;
+function diff_linearRange_(text1, start1, end1, text2, start2, end2,
+                           context, search, diffs) {
+  var equals = context.equals;
+  // Trim off common prefix and suffix (speedup).
+  var prefix = start1;
+  while (start1 < end1 && start2 < end2 &&
+         (equals ? equals(text1[start1], text2[start2]) :
+                   text1[start1] === text2[start2])) {
+    start1++;
+    start2++;
   }
-  // Binary search.
-  // Performance analysis: http://neil.fraser.name/news/2007/10/09/
-  var pointermin = 0;
-  var pointermax = Math.min(text1.length, text2.length);
-  var pointermid = pointermax;
-  var pointerend = 0;
-  while (pointermin < pointermid) {
-    if ( isEqual( text1.slice(text1.length - pointermid, text1.length - pointerend),
-         text2.slice(text2.length - pointermid, text2.length - pointerend) ) ) {
-      pointermin = pointermid;
-      pointerend = pointermin;
-    } else {
-      pointermax = pointermid;
+  if (start1 > prefix) {
+    diffs.push([DIFF_EQUAL, text1.slice(prefix, start1)]);
+  }
+  var suffix = end1;
+  while (start1 < end1 && start2 < end2 &&
+         (equals ? equals(text1[end1 - 1], text2[end2 - 1]) :
+                   text1[end1 - 1] === text2[end2 - 1])) {
+    end1--;
+    end2--;
+  }
+
+  var split = start1 < end1 && start2 < end2 ?
+      diff_linearSnake_(text1, start1, end1, text2, start2, end2, context,
+                        search) :
+      null;
+  if (split) {
+    diff_linearRange_(text1, start1, split.x, text2, start2, split.y,
+                      context, search, diffs);
+    diff_linearRange_(text1, split.x, end1, text2, split.y, end2,
+                      context, search, diffs);
+  } else {
+    // One range is empty, there is no commonality or the deadline was hit.
+    if (start1 < end1) {
+      diffs.push([DIFF_DELETE, text1.slice(start1, end1)]);
+    }
+    if (start2 < end2) {
+      diffs.push([DIFF_INSERT, text2.slice(start2, end2)]);
     }
-    pointermid = Math.floor((pointermax - pointermin) / 2 + pointermin);
   }
-  return pointermid;
-};
+
+  if (suffix > end1) {
+    diffs.push([DIFF_EQUAL, text1.slice(end1, suffix)]);
+  }
+}
 
 
 /**
- * Do the two texts share a substring which is at least half the length of the
- * longer text?
- * This speedup can produce non-minimal diffs.
- * @param {Array.<string>} text1 First array of symbols.
- * @param {Array.<string>} text2 Second array of symbols.
- * @return {Array.<Array>.<string>} Five element Array, containing the prefix of
- *     text1, the suffix of text1, the prefix of text2, the suffix of
- *     text2 and the common middle.  Or null if there was no match.
+ * Find the 'middle snake' of a diff of two ranges, as diff_bisect_ does.
+ * The search arrays grow by doubling as the number of edits increases, and
+ * are reset to unvisited before returning.
+ * @param {Array} text1 Old array of symbols.
+ * @param {number} start1 Start of the range in text1.
+ * @param {number} end1 End of the range in text1.
+ * @param {Array} text2 New array of symbols.
+ * @param {number} start2 Start of the range in text2.
+ * @param {number} end2 End of the range in text2.
+ * @param {Object} context Diff context, see diff_context_.
+ * @param {{v1: Int32Array, v2: Int32Array, offset: number}} search Front
+ *     and reverse path ends by diagonal, centered on offset.
+ * @return {?{x: number, y: number}} Split point in text1 and text2, or null
+ *     if there is no commonality or the deadline was hit.
+ * @private
  */
-function diff_halfMatch_(text1, text2) {
-  var longtext = text1.length > text2.length ? text1 : text2;
-  var shorttext = text1.length > text2.length ? text2 : text1;
-  if (longtext.length < 4 || shorttext.length * 2 < longtext.length) {
-    return null;  // Pointless.
-  }
-
-  /**
-   * Does a substring of shorttext exist within longtext such that the substring
-   * is at least half the length of longtext?
-   * Closure, but does not reference any external variables.
-   * @param {Array.<string>} longtext Longer symbols array.
-   * @param {Array.<string>} shorttext Shorter symbols array.
-   * @param {number} i Start index of quarter length substring within longtext.
-   * @return {Array.<Array>.<string>} Five element Array, containing the prefix of
-   *     longtext, the suffix of longtext, the prefix of shorttext, the suffix
-   *     of shorttext and the common middle.  Or null if there was no match.
+function diff_linearSnake_(text1, start1, end1, text2, start2, end2,
+                           context, search) {
+  var equals = context.equals;
+  var deadline = context.deadline;
+  var text1_length = end1 - start1;
+  var text2_length = end2 - start2;
+  var max_d = Math.ceil((text1_length + text2_length) / 2);
+  var delta = text1_length - text2_length;
+  // If the total number of characters is odd, then the front path will collide
+  // with the reverse path.
+  var front = (delta % 2 != 0);
+  // Offsets for start and end of k loop.
+  // Prevents mapping of space beyond the grid.
+  var k1start = 0;
+  var k1end = 0;
+  var k2start = 0;
+  var k2end = 0;
+  var split = null;
+  var d;
+  for (d = 0; d < max_d && !split; d++) {
+    // Bail out if deadline is reached.
+    if (deadline !== undefined && Date.now() > deadline) {
+      context.truncated = true;
+      break;
+    }
+    // Diagonals -d - 1 to d + 1 are read in this step.
+    if (search.offset < d + 2) {
+      diff_linearGrow_(search, 2 * (d + 2));
+    }
+    var v1 = search.v1;
+    var v2 = search.v2;
+    var v_offset = search.offset;
+    var v_length = v1.length;
+    if (d === 0) {
+      v1[v_offset + 1] = 0;
+      v2[v_offset + 1] = 0;
+    }
+
+    // Walk the front path one step.
+    for (var k1 = -d + k1start; k1 <= d - k1end && !split; k1 += 2) {
+      var k1_offset = v_offset + k1;
+      var x1;
+      if (k1 == -d || (k1 != d && v1[k1_offset - 1] < v1[k1_offset + 1])) {
+        x1 = v1[k1_offset + 1];
+      } else {
+        x1 = v1[k1_offset - 1] + 1;
+      }
+      var y1 = x1 - k1;
+      while (x1 < text1_length && y1 < text2_length &&
+             (equals ? equals(text1[start1 + x1], text2[start2 + y1]) :
+                       text1[start1 + x1] === text2[start2 + y1])) {
+        x1++;
+        y1++;
+      }
+      v1[k1_offset] = x1;
+      if (x1 > text1_length) {
+        // Ran off the right of the graph.
+        k1end += 2;
+      } else if (y1 > text2_length) {
+        // Ran off the bottom of the graph.
+        k1start += 2;
+      } else if (front) {
+        var k2_offset = v_offset + delta - k1;
+        if (k2_offset >= 0 && k2_offset < v_length && v2[k2_offset] != -1) {
+          // Mirror x2 onto top-left coordinate system.
+          if (x1 >= text1_length - v2[k2_offset]) {
+            // Overlap detected.
+            split = {x: start1 + x1, y: start2 + y1};
+          }
+        }
+      }
+    }
+
+    // Walk the reverse path one step.
+    for (var k2 = -d + k2start; k2 <= d - k2end && !split; k2 += 2) {
+      var k2_offset = v_offset + k2;
+      var x2;
+      if (k2 == -d || (k2 != d && v2[k2_offset - 1] < v2[k2_offset + 1])) {
+        x2 = v2[k2_offset + 1];
+      } else {
+        x2 = v2[k2_offset - 1] + 1;
+      }
+      var y2 = x2 - k2;
+      while (x2 < text1_length && y2 < text2_length &&
+             (equals ? equals(text1[end1 - x2 - 1], text2[end2 - y2 - 1]) :
+                       text1[end1 - x2 - 1] === text2[end2 - y2 - 1])) {
+        x2++;
+        y2++;
+      }
+      v2[k2_offset] = x2;
+      if (x2 > text1_length) {
+        // Ran off the left of the graph.
+        k2end += 2;
+      } else if (y2 > text2_length) {
+        // Ran off the top of the graph.
+        k2start += 2;
+      } else if (!front) {
+        var k1_offset = v_offset + delta - k2;
+        if (k1_offset >= 0 && k1_offset < v_length && v1[k1_offset] != -1) {
+          var x1 = v1[k1_offset];
+          var y1 = v_offset + x1 - k1_offset;
+          // Mirror x2 onto top-left coordinate system.
+          if (x1 >= text1_length - x2) {
+            // Overlap detected.
+            split = {x: start1 + x1, y: start2 + y1};
+          }
+        }
+      }
+    }
+  }
+
+  // Reset the diagonals visited, so the next range starts afresh.
+  var first = Math.max(search.offset - d - 2, 0);
+  var last = Math.min(search.offset + d + 2, search.v1.length);
+  for (var x = first; x < last; x++) {
+    search.v1[x] = -1;
+    search.v2[x] = -1;
+  }
+  return split;
+}
+
+
+/**
+ * Grow the search arrays of diff_linearSnake_, keeping them centered.
+ * @param {{v1: Int32Array, v2: Int32Array, offset: number}} search Search
+ *     arrays to grow.
+ * @param {number} length Minimum length of the arrays.
+ * @private
+ */
+function diff_linearGrow_(search, length) {
+  var v_length = Math.max(search.v1.length * 2, length);
+  var v_offset = v_length / 2;
+  var v1 = new Int32Array(v_length);
+  var v2 = new Int32Array(v_length);
+  for (var x = 0; x < v_length; x++) {
+    v1[x] = -1;
+    v2[x] = -1;
+  }
+  v1.set(search.v1, v_offset - search.offset);
+  v2.set(search.v2, v_offset - search.offset);
+  search.v1 = v1;
+  search.v2 = v2;
+  search.offset = v_offset;
+}
+
+
+/**
+ * Diff two arrays of symbols with the patience algorithm: the symbols which
+ * occur exactly once in both arrays are matched up, keeping the longest
+ * series of them which is in the same order in both, and the parts between
+ * these anchors are diffed separately.
+ * @param {Array} text1 Old array of symbols to be diffed.
+ * @param {Array} text2 New array of symbols to be diffed.
+ * @param {Object} context Diff context, see diff_context_.
+ * @return {Array} Array of diff tuples, or null if there was no anchor.
+ * @private
+ */
+function diff_patience_(text1, text2, context) {
+  var counts1 = Object.create(null);
+  var counts2 = Object.create(null);
+  var indexes2 = Object.create(null);
+  var x;
+  for (x = 0; x < text1.length; x++) {
+    counts1[text1[x]] = (counts1[text1[x]] || 0) + 1;
+  }
+  for (x = 0; x < text2.length; x++) {
+    counts2[text2[x]] = (counts2[text2[x]] || 0) + 1;
+    indexes2[text2[x]] = x;
+  }
+
+  // Unique common symbols, in the order of text1.
+  var uniques1 = [];
+  var uniques2 = [];
+  for (x = 0; x < text1.length; x++) {
+    if (counts1[text1[x]] === 1 && counts2[text1[x]] === 1) {
+      uniques1.push(x);
+      uniques2.push(indexes2[text1[x]]);
+    }
+  }
+  if (!uniques1.length) {
+    return null;
+  }
+
+  var anchors = diff_longestIncreasing_(uniques2);
+  var starts1 = [];
+  var starts2 = [];
+  for (x = 0; x < anchors.length; x++) {
+    starts1.push(uniques1[anchors[x]]);
+    starts2.push(uniques2[anchors[x]]);
+  }
+  return diff_anchored_(text1, text2, starts1, starts2, null, context);
+}
+
+
+/**
+ * Diff two arrays of symbols around common runs, diffing the parts between
+ * them separately.
+ * @param {Array} text1 Old array of symbols to be diffed.
+ * @param {Array} text2 New array of symbols to be diffed.
+ * @param {Array.<number>} starts1 Starts of the runs in text1, ascending.
+ * @param {Array.<number>} starts2 Starts of the runs in text2, ascending.
+ * @param {?Array.<number>} lengths Lengths of the runs, null if all are one
+ *     symbol long.
+ * @param {Object} context Diff context, see diff_context_.
+ * @return {Array} Array of diff tuples.
+ * @private
+ */
+function diff_anchored_(text1, text2, starts1, starts2, lengths, context) {
+  // Collect the pieces in one array, merging equalities as they come:
+  // concatenating the pieces, or leaving the merge to diff_cleanupMerge,
+  // would copy the diff for every run.
+  var diffs = [];
+  var pointer1 = 0;
+  var pointer2 = 0;
+  for (var x = 0; x <= starts1.length; x++) {
+    var end1 = x < starts1.length ? starts1[x] : text1.length;
+    var end2 = x < starts1.length ? starts2[x] : text2.length;
+    var gap = diff_main(text1.slice(pointer1, end1),
+                        text2.slice(pointer2, end2), context);
+    for (var y = 0; y < gap.length; y++) {
+      diff_pushMerged_(diffs, gap[y]);
+    }
+    if (x < starts1.length) {
+      var length = lengths ? lengths[x] : 1;
+      diff_pushMerged_(diffs, [DIFF_EQUAL, text1.slice(end1, end1 + length)]);
+      pointer1 = end1 + length;
+      pointer2 = end2 + length;
+    }
+  }
+  return diffs;
+}
+
+
+/**
+ * Append a diff tuple to diffs, adding its symbols to the last tuple if it
+ * is an equality too.
+ * @param {Array} diffs Array of diff tuples. Diffs contain arrays of
+ *     symbols, which may be extended.
+ * @param {Array} diff Diff tuple to append.
+ * @private
+ */
+function diff_pushMerged_(diffs, diff) {
+  var last = diffs[diffs.length - 1];
+  if (last && last[0] === DIFF_EQUAL && diff[0] === DIFF_EQUAL) {
+    for (var x = 0; x < diff[1].length; x++) {
+      last[1].push(diff[1][x]);
+    }
+  } else {
+    diffs.push(diff);
+  }
+}
+
+
+/**
+ * Find the longest strictly increasing subsequence of numbers, by patience
+ * sorting.
+ * @param {Array.<number>} values Distinct numbers.
+ * @return {Array.<number>} Indexes of the subsequence in values, ascending.
+ * @private
+ */
+function diff_longestIncreasing_(values) {
+  // tails[k] is the index of the smallest value ending an increasing
+  // subsequence of length k + 1.
+  var tails = [];
+  var previous = [];
+  for (var x = 0; x < values.length; x++) {
+    var low = 0;
+    var high = tails.length;
+    while (low < high) {
+      var mid = (low + high) >> 1;
+      if (values[tails[mid]] < values[x]) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    previous[x] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = x;
+  }
+  var indexes = [];
+  for (var index = tails[tails.length - 1]; index !== -1;
+       index = previous[index]) {
+    indexes.unshift(index);
+  }
+  return indexes;
+}
+
+
+/**
+ * Diff two arrays of symbols with the histogram algorithm: runs of common
+ * symbols around the rarest symbols of text1 which text2 also has are
+ * kept, the longest series of them which is in the same order in both, and
+ * the parts between them are diffed separately.
+ * @param {Array} text1 Old array of symbols to be diffed.
+ * @param {Array} text2 New array of symbols to be diffed.
+ * @param {Object} context Diff context, see diff_context_.
+ * @return {Array} Array of diff tuples, or null if there was no anchor.
+ * @private
+ */
+function diff_histogram_(text1, text2, context) {
+  var regions = diff_histogramRegions_(text1, text2);
+  if (!regions.length) {
+    return null;
+  }
+
+  // Keep the longest series of regions in the same order in both texts,
+  // dropping any overlapping the previous one.
+  var order = diff_longestIncreasing_(regions.map(function(region) {
+    return region.start1;
+  }));
+  var starts1 = [];
+  var starts2 = [];
+  var lengths = [];
+  var end1 = 0;
+  var end2 = 0;
+  for (var x = 0; x < order.length; x++) {
+    var region = regions[order[x]];
+    if (region.start1 >= end1 && region.start2 >= end2) {
+      starts1.push(region.start1);
+      starts2.push(region.start2);
+      lengths.push(region.length);
+      end1 = region.start1 + region.length;
+      end2 = region.start2 + region.length;
+    }
+  }
+  return diff_anchored_(text1, text2, starts1, starts2, lengths, context);
+}
+
+
+/**
+ * Find the runs of common symbols around the rarest symbols of text1 which
+ * also occur in text2, in one pass over text2.  Each symbol of text2 is
+ * matched with all its occurrences in text1, and the rarest (then longest)
+ * run around them is kept; symbols of text2 within it are not tried again.
+ * Of these runs, those whose rarest symbol is the rarest overall are
+ * returned.
+ * @param {Array} text1 Old array of symbols.
+ * @param {Array} text2 New array of symbols.
+ * @return {Array.<{start1: number, start2: number, length: number}>} The
+ *     runs in the order of text2, empty if no symbol occurs in both at
+ *     most HISTOGRAM_MAX_CHAIN times.
+ * @private
+ */
+function diff_histogramRegions_(text1, text2) {
+  var occurrences = Object.create(null);  // Indexes of symbols in text1.
+  for (var x = 0; x < text1.length; x++) {
+    (occurrences[text1[x]] || (occurrences[text1[x]] = [])).push(x);
+  }
+
+  var regions = [];
+  var lowest = Infinity;
+  var index2 = 0;
+  while (index2 < text2.length) {
+    var best = null;
+    var next2 = index2 + 1;
+    var indexes1 = occurrences[text2[index2]];
+    if (indexes1 && indexes1.length <= HISTOGRAM_MAX_CHAIN) {
+      for (var y = 0; y < indexes1.length; y++) {
+        var start1 = indexes1[y];
+        var start2 = index2;
+        while (start1 > 0 && start2 > 0 &&
+               text1[start1 - 1] === text2[start2 - 1]) {
+          start1--;
+          start2--;
+        }
+        var end1 = indexes1[y] + 1;
+        var end2 = index2 + 1;
+        while (end1 < text1.length && end2 < text2.length &&
+               text1[end1] === text2[end2]) {
+          end1++;
+          end2++;
+        }
+        var count = indexes1.length;
+        for (var z = start1; z < end1; z++) {
+          count = Math.min(count, occurrences[text1[z]].length);
+        }
+        if (!best || count < best.count ||
+            (count === best.count && end1 - start1 > best.length)) {
+          best = {start1: start1, start2: start2, length: end1 - start1,
+                  count: count};
+        }
+        // Symbols of text2 within the run need not be tried again.
+        next2 = Math.max(next2, end2);
+      }
+    }
+    if (best && best.count <= lowest) {
+      if (best.count < lowest) {
+        lowest = best.count;
+        regions = [];
+      }
+      regions.push(best);
+    }
+    index2 = next2;
+  }
+  return regions;
+}
+
+
+/**
+ * Map two arrays of tokens to arrays of symbols. Each unique token is mapped
+ * to an integer so the diff compares numbers rather than whole tokens.
+ * @param {Array.<string>} tokens1 First array of tokens.
+ * @param {Array.<string>} tokens2 Second array of tokens.
+ * @return {{symbols1: Array.<number>, symbols2: Array.<number>,
+ *     tokenArray: Array.<string>}}
+ *     An object containing the symbols of tokens1, the symbols of tokens2
+ *     and the array of unique tokens.
+ * @private
+ */
+function diff_tokensToSymbols_(tokens1, tokens2) {
+  var tokenArray = [];  // e.g. tokenArray[4] == 'Hello\n'
+  var tokenHash = Object.create(null);  // e.g. tokenHash['Hello\n'] == 4
+
+  /**
+   * Map an array of tokens to an array of symbols.
+   * Modifies tokenArray and tokenHash through being a closure.
+   * @param {Array.<string>} tokens Tokens to encode.
+   * @return {Array.<number>} Token symbols.
    * @private
    */
-  function diff_halfMatchI_(longtext, shorttext, i) {
-    // Start with a 1/4 length substring at position i as a seed.
-    var seed = longtext.slice(i, i + Math.floor(longtext.length / 4));
-    var j = -1;
-    var best_common = [];
-    var best_longtext_a, best_longtext_b, best_shorttext_a, best_shorttext_b;
-    while ((j = subArrayIndexOf(shorttext, seed, j + 1)) != -1) {
-      var prefixLength = diff_commonPrefix(longtext.slice(i),
-                                           shorttext.slice(j));
-      var suffixLength = diff_commonSuffix(longtext.slice(0, i),
-                                           shorttext.slice(0, j));
-      if (best_common.length < suffixLength + prefixLength) {
-        best_common = shorttext.slice(j - suffixLength, j).concat(
-            shorttext.slice(j, j + prefixLength) );
-        best_longtext_a = longtext.slice(0, i - suffixLength);
-        best_longtext_b = longtext.slice(i + prefixLength);
-        best_shorttext_a = shorttext.slice(0, j - suffixLength);
-        best_shorttext_b = shorttext.slice(j + prefixLength);
-      }
-    }
-    if (best_common.length * 2 >= longtext.length) {
-      return [best_longtext_a, best_longtext_b,
-              best_shorttext_a, best_shorttext_b, best_common];
+  function diff_tokensToSymbolsMunge_(tokens) {
+    var symbols = [];
+    var tokensLen = tokens.length;
+    for (var i = 0; i < tokensLen; i++) {
+      var token = tokens[i];
+      if (tokenHash[token] !== undefined) {
+        symbols.push(tokenHash[token]);
+      } else {
+        symbols.push(tokenArray.length);
+        tokenHash[token] = tokenArray.length;
+        tokenArray[tokenArray.length] = token;
+      }
+    }
+    return symbols;
+  }
+
+  var symbols1 = diff_tokensToSymbolsMunge_(tokens1);
+  var symbols2 = diff_tokensToSymbolsMunge_(tokens2);
+  return {symbols1: symbols1, symbols2: symbols2, tokenArray: tokenArray};
+};
+
+
+/**
+ * Build the function mapping tokens to the key they are compared under,
+ * from the ignore and normalize options of diff_start.
+ * @param {Object} options Options given to diff_start.
+ * @return {?function(string): string} Key function, or null if tokens are
+ *     compared as they are.
+ * @private
+ */
+function diff_keyFunction_(options) {
+  var ignoreWhitespace = !!options.ignoreWhitespace;
+  var ignoreCase = !!options.ignoreCase;
+  var ignoreLineEndings = !!options.ignoreLineEndings;
+  var normalize = options.normalize;
+  if (normalize && NORMALIZATIONS.indexOf(normalize) === -1) {
+    throw new Error('Unknown normalization: ' + normalize);
+  }
+  if (!ignoreWhitespace && !ignoreCase && !ignoreLineEndings && !normalize) {
+    return null;
+  }
+  return function(token) {
+    if (ignoreLineEndings) {
+      token = token.replace(LINE_ENDING_REGEX, '\n');
+    }
+    if (ignoreWhitespace) {
+      token = token.replace(WHITESPACE_RUN_REGEX, '');
+    }
+    if (ignoreCase) {
+      // Fold ς like σ, so a word's key does not depend on what follows it.
+      token = token.toLowerCase().replace(FINAL_SIGMA_REGEX, '\u03C3');
+    }
+    if (normalize) {
+      token = token.normalize(normalize);
+    }
+    return token;
+  };
+}
+
+
+/**
+ * Diff two arrays of tokens compared under the key function of the context,
+ * and swap the original tokens back in.  Equalities get those of text1,
+ * see diff_keyedText2_ for those of text2.
+ * @param {Array.<string>} tokens1 Old array of tokens to be diffed.
+ * @param {Array.<string>} tokens2 New array of tokens to be diffed.
+ * @param {Object} context Diff context, see diff_context_.
+ * @return {Array} Array of diff tuples. Diffs contain arrays of tokens.
+ * @private
+ */
+function diff_keyedMain_(tokens1, tokens2, context) {
+  var keys = diff_tokensToSymbols_(tokens1.map(context.key),
+                                   tokens2.map(context.key));
+  var diffs = diff_main(keys.symbols1, keys.symbols2, context);
+  var index1 = 0;
+  var index2 = 0;
+  for (var i = 0; i < diffs.length; i++) {
+    var length = diffs[i][1].length;
+    if (diffs[i][0] === DIFF_INSERT) {
+      diffs[i][1] = tokens2.slice(index2, index2 + length);
+      index2 += length;
+    } else {
+      diffs[i][1] = tokens1.slice(index1, index1 + length);
+      index1 += length;
+      if (diffs[i][0] === DIFF_EQUAL) {
+        index2 += length;
+      }
+    }
+  }
+  return diffs;
+}
+
+
+/**
+ * Give the diffs of a keyed diff the text they have in text2.  Equalities
+ * hold the tokens of text1, and cleanups may have turned them into edits;
+ * the text2 the diffs hold is lined up with the actual text2 under the key
+ * to find what each diff stands for.  Equalities whose text differs in
+ * text2 get {text2} as their third element, insertions their original
+ * text.
+ * @param {Array} diffs Array of diff tuples. Diffs contain arrays of
+ *     symbols or tokens.
+ * @param {string} text2 New string which was diffed.
+ * @param {function(string): Array.<string>} split Splits a string like the
+ *     contents of the diffs are split.
+ * @param {boolean} tokens Whether the diffs contain tokens, which can then
+ *     be lined up whole rather than symbol by symbol.
+ * @param {Object} options Options given to diff_start.
+ * @param {function(string): string} key Key function, see
+ *     diff_keyFunction_.
+ * @return {Array} Array of diff tuples, without emptied insertions.
+ * @private
+ */
+function diff_keyedText2_(diffs, text2, split, tokens, options, key) {
+  var texts = [];
+  for (var x = 0; x < diffs.length; x++) {
+    texts[x] = diffs[x][0] === DIFF_DELETE ? '' :
+        symbolsArrayToString(diffs[x][1]);
+  }
+  var built = texts.join('');
+  if (built === text2) {
+    return diffs;
+  }
+  var units1 = tokens ? split(built) :
+      stringToComparableSymbols(built, 'codepoint', options);
+  var units2 = tokens ? split(text2) :
+      stringToComparableSymbols(text2, 'codepoint', options);
+  var keys = diff_tokensToSymbols_(units1.map(key), units2.map(key));
+  var alignment = diff_main(keys.symbols1, keys.symbols2);
+
+  // Walk the alignment unit by unit to map offsets of the built text2 to
+  // offsets of text2.  Units only text2 has go with the diff after them.
+  var a = 0;  // Index of the alignment diff.
+  var done = 0;  // Units of alignment[a] walked.
+  var index1 = 0;  // Unit of the built text2.
+  var index2 = 0;  // Unit of text2.
+  var offset1 = 0;
+  var offset2 = 0;
+  var map = function(offset) {
+    while (a < alignment.length) {
+      var op = alignment[a][0];
+      var length1 = op === DIFF_INSERT ? 0 : units1[index1].length;
+      var length2 = op === DIFF_DELETE ? 0 : units2[index2].length;
+      if (length1 ? offset1 + length1 > offset : offset1 >= offset) {
+        if (op === DIFF_EQUAL && offset > offset1 &&
+            units1[index1] === units2[index2]) {
+          // Within a unit which is the same in both.
+          return offset2 + offset - offset1;
+        }
+        return offset2;
+      }
+      offset1 += length1;
+      offset2 += length2;
+      index1 += length1 ? 1 : 0;
+      index2 += length2 ? 1 : 0;
+      if (++done === alignment[a][1].length) {
+        a++;
+        done = 0;
+      }
+    }
+    return offset2;
+  };
+
+  var output = [];
+  var start2 = 0;
+  var end1 = 0;
+  for (x = 0; x < diffs.length; x++) {
+    var op = diffs[x][0];
+    if (op === DIFF_DELETE) {
+      output.push(diffs[x]);
+      continue;
+    }
+    end1 += texts[x].length;
+    var end2 = end1 === built.length ? text2.length : map(end1);
+    var original = text2.substring(start2, end2);
+    start2 = end2;
+    if (original === texts[x]) {
+      output.push(diffs[x]);
+    } else if (op === DIFF_EQUAL) {
+      output.push([DIFF_EQUAL, diffs[x][1], {text2: split(original)}]);
+    } else if (original) {
+      output.push([DIFF_INSERT, split(original)]);
+    }
+  }
+  return output;
+}
+
+
+/**
+ * Encode two strings as arrays of integers, which compare without looking
+ * at string contents.  Code points stand for themselves, graphemes are
+ * mapped to integers like tokens.
+ * Plain arrays are used rather than Uint32Arrays since diffs are split and
+ * joined with slice and concat, which typed arrays lack.  Uint32Arrays
+ * with a concat that copies gave the same diffs but were slower: for the
+ * runs of tests/performance.js, 2.1s against 1.4s for 100 diffs of 1000
+ * random ASCII letters, 2.4s against 1.7s for Greek letters, and 8.0s
+ * against 7.5s for 10 diffs of 10000 ASCII letters.
+ * @param {string} text1 First string.
+ * @param {string} text2 Second string.
+ * @param {string} granularity 'codepoint' or 'grapheme'.
+ * @return {{symbols1: Array.<number>, symbols2: Array.<number>,
+ *     tokenArray: ?Array.<string>}} The integers of both strings, and the
+ *     array of unique graphemes (null for code points).
+ * @private
+ */
+function diff_encodeSymbols_(text1, text2, granularity) {
+  if (granularity === 'grapheme') {
+    return diff_tokensToSymbols_(graphemeSplitter.splitGraphemes(text1),
+                                 graphemeSplitter.splitGraphemes(text2));
+  }
+  return {symbols1: stringToCodePoints(text1),
+          symbols2: stringToCodePoints(text2), tokenArray: null};
+}
+
+
+/**
+ * Decode the integers in a diff back to arrays of symbols.
+ * @param {Array} diffs Array of diff tuples. Diffs contain integers from
+ *     diff_encodeSymbols_.
+ * @param {?Array.<string>} tokenArray Array of unique graphemes, or null
+ *     for code points.
+ * @private
+ */
+function diff_decodeSymbols_(diffs, tokenArray) {
+  if (tokenArray) {
+    diff_symbolsToTokens_(diffs, tokenArray);
+    return;
+  }
+  for (var i = 0; i < diffs.length; i++) {
+    var codePoints = diffs[i][1];
+    var symbols = [];
+    for (var j = 0; j < codePoints.length; j++) {
+      symbols[j] = codePointToString(codePoints[j]);
+    }
+    diffs[i][1] = symbols;
+  }
+}
+
+
+/**
+ * Rehydrate the symbols in a diff to the tokens they stand for.
+ * @param {Array} diffs Array of diff tuples. Diffs contain token symbols.
+ * @param {Array.<string>} tokenArray Array of unique tokens.
+ * @private
+ */
+function diff_symbolsToTokens_(diffs, tokenArray) {
+  for (var i = 0; i < diffs.length; i++) {
+    var symbols = diffs[i][1];
+    var tokens = [];
+    for (var j = 0; j < symbols.length; j++) {
+      tokens[j] = tokenArray[symbols[j]];
+    }
+    diffs[i][1] = tokens;
+  }
+};
+
+
+/**
+ * Determine the common prefix of two arrays of symbols.
+ * @param {Array.<string>} text1 First array of symbols.
+ * @param {Array.<string>} text2 Second array of symbols.
+ * @param {function(*, *): boolean=} equals Optional symbol comparison.
+ * @return {number} The number of symbols common to the start of each
+ *     array.
+ */
+function diff_commonPrefix(text1, text2, equals) {
+  // Quick check for common null cases.
+  if (!text1 || !text2 || !text1.length || !text2.length ||
+      !symbolsEqual(text1[0], text2[0], equals)) {
+    return 0;
+  }
+  // Binary search.
+  // Performance analysis: http://neil.fraser.name/news/2007/10/09/
+  var pointermin = 0;
+  var pointermax = Math.min(text1.length, text2.length);
+  var pointermid = pointermax;
+  var pointerstart = 0;
+  while (pointermin < pointermid) {
+    if ( arraysEqual( text1.slice(pointerstart, pointermid),
+         text2.slice(pointerstart, pointermid), equals ) ) {
+      pointermin = pointermid;
+      pointerstart = pointermin;
+    } else {
+      pointermax = pointermid;
+    }
+    pointermid = Math.floor((pointermax - pointermin) / 2 + pointermin);
+  }
+  return pointermid;
+};
+
+
+/**
+ * Determine the common suffix of two arrays of symbols.
+ * @param {Array.<string>} text1 First array of symbols.
+ * @param {Array.<string>} text2 Second array of symbols.
+ * @param {function(*, *): boolean=} equals Optional symbol comparison.
+ * @return {number} The number of symbols common to the end of each array.
+ */
+function diff_commonSuffix(text1, text2, equals) {
+  // Quick check for common null cases.
+  if (!text1 || !text2 || !text1.length || !text2.length ||
+      !symbolsEqual(text1[text1.length - 1], text2[text2.length - 1],
+                    equals)) {
+    return 0;
+  }
+  // Binary search.
+  // Performance analysis: http://neil.fraser.name/news/2007/10/09/
+  var pointermin = 0;
+  var pointermax = Math.min(text1.length, text2.length);
+  var pointermid = pointermax;
+  var pointerend = 0;
+  while (pointermin < pointermid) {
+    if ( arraysEqual( text1.slice(text1.length - pointermid, text1.length - pointerend),
+         text2.slice(text2.length - pointermid, text2.length - pointerend),
+         equals ) ) {
+      pointermin = pointermid;
+      pointerend = pointermin;
+    } else {
+      pointermax = pointermid;
+    }
+    pointermid = Math.floor((pointermax - pointermin) / 2 + pointermin);
+  }
+  return pointermid;
+};
+
+
+/**
+ * Determine if the suffix of one array of symbols is the prefix of another.
+ * @param {Array.<string>} text1 First array of symbols.
+ * @param {Array.<string>} text2 Second array of symbols.
+ * @return {number} The number of symbols common to the end of the first
+ *     array and the start of the second array.
+ * @private
+ */
+function diff_commonOverlap_(text1, text2) {
+  // Cache the text lengths to prevent multiple calls.
+  var text1_length = text1.length;
+  var text2_length = text2.length;
+  // Eliminate the null case.
+  if (text1_length == 0 || text2_length == 0) {
+    return 0;
+  }
+  // Truncate the longer array.
+  if (text1_length > text2_length) {
+    text1 = text1.slice(text1_length - text2_length);
+  } else if (text1_length < text2_length) {
+    text2 = text2.slice(0, text1_length);
+  }
+  var text_length = Math.min(text1_length, text2_length);
+  // Quick check for the worst case.
+  if ( arraysEqual(text1, text2) ) {
+    return text_length;
+  }
+
+  // Start by looking for a single symbol match
+  // and increase length until no match is found.
+  // Performance analysis: http://neil.fraser.name/news/2010/11/04/
+  var best = 0;
+  var length = 1;
+  while (true) {
+    var pattern = text1.slice(text_length - length);
+    var found = subArrayIndexOf(text2, pattern);
+    if (found == -1) {
+      return best;
+    }
+    length += found;
+    if (found == 0 || arraysEqual( text1.slice(text_length - length),
+                                   text2.slice(0, length) )) {
+      best = length;
+      length++;
+    }
+  }
+};
+
+
+/**
+ * Do the two texts share a substring which is at least half the length of the
+ * longer text?
+ * This speedup can produce non-minimal diffs.
+ * @param {Array.<string>} text1 First array of symbols.
+ * @param {Array.<string>} text2 Second array of symbols.
+ * @param {function(*, *): boolean=} equals Optional symbol comparison.
+ * @return {Array.<Array>.<string>} Five element Array, containing the prefix of
+ *     text1, the suffix of text1, the prefix of text2, the suffix of
+ *     text2 and the common middle.  Or null if there was no match.
+ */
+function diff_halfMatch_(text1, text2, equals) {
+  var longtext = text1.length > text2.length ? text1 : text2;
+  var shorttext = text1.length > text2.length ? text2 : text1;
+  if (longtext.length < 4 || shorttext.length * 2 < longtext.length) {
+    return null;  // Pointless.
+  }
+
+  /**
+   * Does a substring of shorttext exist within longtext such that the substring
+   * is at least half the length of longtext?
+   * Closure, only references the equals function of the enclosing call.
+   * @param {Array.<string>} longtext Longer symbols array.
+   * @param {Array.<string>} shorttext Shorter symbols array.
+   * @param {number} i Start index of quarter length substring within longtext.
+   * @return {Array.<Array>.<string>} Five element Array, containing the prefix of
+   *     longtext, the suffix of longtext, the prefix of shorttext, the suffix
+   *     of shorttext and the common middle.  Or null if there was no match.
+   * @private
+   */
+  function diff_halfMatchI_(longtext, shorttext, i) {
+    // Start with a 1/4 length substring at position i as a seed.  It occurs
+    // wherever the common prefix with longtext from i is at least as long,
+    // so measuring all common prefixes and suffixes at once finds every
+    // occurrence, in linear time even when the seed occurs everywhere.
+    var seedLength = Math.floor(longtext.length / 4);
+    var prefixLengths = subArrayPrefixLengths(longtext.slice(i), shorttext,
+                                              equals);
+    var suffixLengths = subArrayPrefixLengths(longtext.slice(0, i).reverse(),
+                                              shorttext.slice().reverse(),
+                                              equals);
+    var best_length = 0;
+    var best_j, best_suffixLength;
+    for (var j = 0; j < shorttext.length; j++) {
+      if (prefixLengths[j] < seedLength) {
+        continue;
+      }
+      var suffixLength = j ? suffixLengths[shorttext.length - j] : 0;
+      if (best_length < suffixLength + prefixLengths[j]) {
+        best_length = suffixLength + prefixLengths[j];
+        best_j = j;
+        best_suffixLength = suffixLength;
+      }
+    }
+    if (best_length) {
+      var best_prefixLength = best_length - best_suffixLength;
+      var best_common = shorttext.slice(best_j - best_suffixLength,
+                                        best_j + best_prefixLength);
+      var best_longtext_a = longtext.slice(0, i - best_suffixLength);
+      var best_longtext_b = longtext.slice(i + best_prefixLength);
+      var best_shorttext_a = shorttext.slice(0, best_j - best_suffixLength);
+      var best_shorttext_b = shorttext.slice(best_j + best_prefixLength);
+    }
+    if (best_length * 2 >= longtext.length) {
+      return [best_longtext_a, best_longtext_b,
+              best_shorttext_a, best_shorttext_b, best_common];
+    } else {
+      return null;
+    }
+  }
+
+  // First check if the second quarter is the seed for a half-match.
+  var hm1 = diff_halfMatchI_(longtext, shorttext,
+                             Math.ceil(longtext.length / 4));
+  // Check again based on the third quarter.
+  var hm2 = diff_halfMatchI_(longtext, shorttext,
+                             Math.ceil(longtext.length / 2));
+  var hm;
+  if (!hm1 && !hm2) {
+    return null;
+  } else if (!hm2) {
+    hm = hm1;
+  } else if (!hm1) {
+    hm = hm2;
+  } else {
+    // Both matched.  Select the longest.
+    hm = hm1[4].length > hm2[4].length ? hm1 : hm2;
+  }
+
+  // A half-match was found, sort out the return data.
+  var text1_a, text1_b, text2_a, text2_b;
+  if (text1.length > text2.length) {
+    text1_a = hm[0];
+    text1_b = hm[1];
+    text2_a = hm[2];
+    text2_b = hm[3];
+  } else {
+    text2_a = hm[0];
+    text2_b = hm[1];
+    text1_a = hm[2];
+    text1_b = hm[3];
+  }
+  var mid_common = hm[4];
+  return [text1_a, text1_b, text2_a, text2_b, mid_common];
+};
+
+
+/**
+ * Reduce the number of edits by eliminating semantically trivial equalities.
+ * @param {Array} diffs Array of diff tuples. Diffs contain arrays of symbols.
+ */
+function diff_cleanupSemantic(diffs) {
+  var changes = false;
+  var equalities = [];  // Stack of indices where equalities are found.
+  var equalitiesLength = 0;  // Keeping our own length var is faster in JS.
+  /** @type {?Array.<string>} */
+  var lastequality = null;
+  // Always equal to diffs[equalities[equalitiesLength - 1]][1]
+  var pointer = 0;  // Index of current position.
+  // Number of symbols that changed prior to the equality.
+  var length_insertions1 = 0;
+  var length_deletions1 = 0;
+  // Number of symbols that changed after the equality.
+  var length_insertions2 = 0;
+  var length_deletions2 = 0;
+  while (pointer < diffs.length) {
+    if (diffs[pointer][0] == DIFF_EQUAL) {  // Equality found.
+      equalities[equalitiesLength++] = pointer;
+      length_insertions1 = length_insertions2;
+      length_deletions1 = length_deletions2;
+      length_insertions2 = 0;
+      length_deletions2 = 0;
+      lastequality = diffs[pointer][1];
+    } else {  // An insertion or deletion.
+      if (diffs[pointer][0] == DIFF_INSERT) {
+        length_insertions2 += diffs[pointer][1].length;
+      } else {
+        length_deletions2 += diffs[pointer][1].length;
+      }
+      // Eliminate an equality that is smaller or equal to the edits on both
+      // sides of it.
+      if (lastequality && (lastequality.length <=
+          Math.max(length_insertions1, length_deletions1)) &&
+          (lastequality.length <= Math.max(length_insertions2,
+                                           length_deletions2))) {
+        // Duplicate record.
+        diffs.splice(equalities[equalitiesLength - 1], 0,
+                     [DIFF_DELETE, lastequality]);
+        // Change second copy to insert.
+        diffs[equalities[equalitiesLength - 1] + 1][0] = DIFF_INSERT;
+        // Throw away the equality we just deleted.
+        equalitiesLength--;
+        // Throw away the previous equality (it needs to be reevaluated).
+        equalitiesLength--;
+        pointer = equalitiesLength > 0 ? equalities[equalitiesLength - 1] : -1;
+        length_insertions1 = 0;  // Reset the counters.
+        length_deletions1 = 0;
+        length_insertions2 = 0;
+        length_deletions2 = 0;
+        lastequality = null;
+        changes = true;
+      }
+    }
+    pointer++;
+  }
+
+  // Normalize the diff.
+  if (changes) {
+    diff_cleanupMerge(diffs);
+  }
+  diff_cleanupSemanticLossless(diffs);
+
+  // Find any overlaps between deletions and insertions.
+  // e.g: <del>abcxxx</del><ins>xxxdef</ins>
+  //   -> <del>abc</del>xxx<ins>def</ins>
+  // e.g: <del>xxxabc</del><ins>defxxx</ins>
+  //   -> <ins>def</ins>xxx<del>abc</del>
+  // Only extract an overlap if it is as big as the edit ahead or behind it.
+  pointer = 1;
+  while (pointer < diffs.length) {
+    if (diffs[pointer - 1][0] == DIFF_DELETE &&
+        diffs[pointer][0] == DIFF_INSERT) {
+      var deletion = diffs[pointer - 1][1];
+      var insertion = diffs[pointer][1];
+      var overlap_length1 = diff_commonOverlap_(deletion, insertion);
+      var overlap_length2 = diff_commonOverlap_(insertion, deletion);
+      if (overlap_length1 >= overlap_length2) {
+        if (overlap_length1 >= deletion.length / 2 ||
+            overlap_length1 >= insertion.length / 2) {
+          // Overlap found.  Insert an equality and trim the surrounding edits.
+          diffs.splice(pointer, 0,
+              [DIFF_EQUAL, insertion.slice(0, overlap_length1)]);
+          diffs[pointer - 1][1] =
+              deletion.slice(0, deletion.length - overlap_length1);
+          diffs[pointer + 1][1] = insertion.slice(overlap_length1);
+          pointer++;
+        }
+      } else {
+        if (overlap_length2 >= deletion.length / 2 ||
+            overlap_length2 >= insertion.length / 2) {
+          // Reverse overlap found.
+          // Insert an equality and swap and trim the surrounding edits.
+          diffs.splice(pointer, 0,
+              [DIFF_EQUAL, deletion.slice(0, overlap_length2)]);
+          diffs[pointer - 1][0] = DIFF_INSERT;
+          diffs[pointer - 1][1] =
+              insertion.slice(0, insertion.length - overlap_length2);
+          diffs[pointer + 1][0] = DIFF_DELETE;
+          diffs[pointer + 1][1] = deletion.slice(overlap_length2);
+          pointer++;
+        }
+      }
+      pointer++;
+    }
+    pointer++;
+  }
+};
+
+
+/**
+ * Look for single edits surrounded on both sides by equalities
+ * which can be shifted sideways to align the edit to a word boundary.
+ * e.g: The c<ins>at c</ins>ame. -> The <ins>cat </ins>came.
+ * Edits are only ever shifted by whole symbols, so astral characters and
+ * grapheme clusters are never split.
+ * @param {Array} diffs Array of diff tuples. Diffs contain arrays of symbols.
+ */
+function diff_cleanupSemanticLossless(diffs) {
+  /**
+   * Given two arrays of symbols, compute a score representing whether the
+   * internal boundary falls on logical boundaries.
+   * Scores range from 6 (best) to 0 (worst).
+   * Closure, but does not reference any external variables.
+   * @param {Array.<string>} one First array of symbols.
+   * @param {Array.<string>} two Second array of symbols.
+   * @return {number} The score.
+   * @private
+   */
+  function diff_cleanupSemanticScore_(one, two) {
+    if (!one.length || !two.length) {
+      // Edges are the best.
+      return 6;
+    }
+
+    // Each port of this function behaves slightly differently due to
+    // subtle differences in each language's definition of things like
+    // 'whitespace'.  Since this function's purpose is largely cosmetic,
+    // the choice has been made to use each language's native features
+    // rather than force total conformity.
+    var symbol1 = one[one.length - 1];
+    var char1 = symbol1.charAt(symbol1.length - 1);
+    var char2 = two[0].charAt(0);
+    var nonAlphaNumeric1 = char1.match(NON_ALPHA_NUMERIC_REGEX);
+    var nonAlphaNumeric2 = char2.match(NON_ALPHA_NUMERIC_REGEX);
+    var whitespace1 = nonAlphaNumeric1 && char1.match(WHITESPACE_REGEX);
+    var whitespace2 = nonAlphaNumeric2 && char2.match(WHITESPACE_REGEX);
+    var lineBreak1 = whitespace1 && char1.match(LINEBREAK_REGEX);
+    var lineBreak2 = whitespace2 && char2.match(LINEBREAK_REGEX);
+    // A blank line spans at most three symbols on either side.
+    var blankLine1 = lineBreak1 &&
+        symbolsArrayToString(one.slice(-3)).match(BLANKLINE_END_REGEX);
+    var blankLine2 = lineBreak2 &&
+        symbolsArrayToString(two.slice(0, 4)).match(BLANKLINE_START_REGEX);
+
+    if (blankLine1 || blankLine2) {
+      // Five points for blank lines.
+      return 5;
+    } else if (lineBreak1 || lineBreak2) {
+      // Four points for line breaks.
+      return 4;
+    } else if (nonAlphaNumeric1 && !whitespace1 && whitespace2) {
+      // Three points for end of sentences.
+      return 3;
+    } else if (whitespace1 || whitespace2) {
+      // Two points for whitespace.
+      return 2;
+    } else if (nonAlphaNumeric1 || nonAlphaNumeric2) {
+      // One point for non-alphanumeric.
+      return 1;
+    }
+    return 0;
+  }
+
+  var pointer = 1;
+  // Intentionally ignore the first and last element (don't need checking).
+  while (pointer < diffs.length - 1) {
+    if (diffs[pointer - 1][0] == DIFF_EQUAL &&
+        diffs[pointer + 1][0] == DIFF_EQUAL) {
+      // This is a single edit surrounded by equalities.
+      var equality1 = diffs[pointer - 1][1];
+      var edit = diffs[pointer][1];
+      var equality2 = diffs[pointer + 1][1];
+
+      // First, shift the edit as far left as possible.
+      var commonOffset = diff_commonSuffix(equality1, edit);
+      if (commonOffset) {
+        var commonSymbols = edit.slice(edit.length - commonOffset);
+        equality1 = equality1.slice(0, equality1.length - commonOffset);
+        edit = commonSymbols.concat( edit.slice(0, edit.length - commonOffset) );
+        equality2 = commonSymbols.concat( equality2 );
+      }
+
+      // Second, step symbol by symbol right, looking for the best fit.
+      var bestEquality1 = equality1;
+      var bestEdit = edit;
+      var bestEquality2 = equality2;
+      var bestScore = diff_cleanupSemanticScore_(equality1, edit) +
+          diff_cleanupSemanticScore_(edit, equality2);
+      while (equality2.length && edit[0] === equality2[0]) {
+        equality1 = equality1.concat( [edit[0]] );
+        edit = edit.slice(1).concat( [equality2[0]] );
+        equality2 = equality2.slice(1);
+        var score = diff_cleanupSemanticScore_(equality1, edit) +
+            diff_cleanupSemanticScore_(edit, equality2);
+        // The >= encourages trailing rather than leading whitespace on edits.
+        if (score >= bestScore) {
+          bestScore = score;
+          bestEquality1 = equality1;
+          bestEdit = edit;
+          bestEquality2 = equality2;
+        }
+      }
+
+      // The edit only moved if the length of the leading equality changed.
+      if (diffs[pointer - 1][1].length != bestEquality1.length) {
+        // We have an improvement, save it back to the diff.
+        if (bestEquality1.length) {
+          diffs[pointer - 1][1] = bestEquality1;
+        } else {
+          diffs.splice(pointer - 1, 1);
+          pointer--;
+        }
+        diffs[pointer][1] = bestEdit;
+        if (bestEquality2.length) {
+          diffs[pointer + 1][1] = bestEquality2;
+        } else {
+          diffs.splice(pointer + 1, 1);
+          pointer--;
+        }
+      }
+    }
+    pointer++;
+  }
+};
+
+
+/**
+ * Reduce the number of edits by eliminating operationally trivial equalities.
+ * @param {Array} diffs Array of diff tuples. Diffs contain arrays of symbols.
+ * @param {number} editCost Cost of an empty edit operation in terms of edit
+ *     symbols.
+ */
+function diff_cleanupEfficiency(diffs, editCost) {
+  var changes = false;
+  var equalities = [];  // Stack of indices where equalities are found.
+  var equalitiesLength = 0;  // Keeping our own length var is faster in JS.
+  /** @type {?Array.<string>} */
+  var lastequality = null;
+  // Always equal to diffs[equalities[equalitiesLength - 1]][1]
+  var pointer = 0;  // Index of current position.
+  // Is there an insertion operation before the last equality.
+  var pre_ins = false;
+  // Is there a deletion operation before the last equality.
+  var pre_del = false;
+  // Is there an insertion operation after the last equality.
+  var post_ins = false;
+  // Is there a deletion operation after the last equality.
+  var post_del = false;
+  while (pointer < diffs.length) {
+    if (diffs[pointer][0] == DIFF_EQUAL) {  // Equality found.
+      if (diffs[pointer][1].length < editCost && (post_ins || post_del)) {
+        // Candidate found.
+        equalities[equalitiesLength++] = pointer;
+        pre_ins = post_ins;
+        pre_del = post_del;
+        lastequality = diffs[pointer][1];
+      } else {
+        // Not a candidate, and can never become one.
+        equalitiesLength = 0;
+        lastequality = null;
+      }
+      post_ins = post_del = false;
+    } else {  // An insertion or deletion.
+      if (diffs[pointer][0] == DIFF_DELETE) {
+        post_del = true;
+      } else {
+        post_ins = true;
+      }
+      /*
+       * Five types to be split:
+       * <ins>A</ins><del>B</del>XY<ins>C</ins><del>D</del>
+       * <ins>A</ins>X<ins>C</ins><del>D</del>
+       * <ins>A</ins><del>B</del>X<ins>C</ins>
+       * <ins>A</del>X<ins>C</ins><del>D</del>
+       * <ins>A</ins><del>B</del>X<del>C</del>
+       */
+      if (lastequality && ((pre_ins && pre_del && post_ins && post_del) ||
+                           ((lastequality.length < editCost / 2) &&
+                            (pre_ins + pre_del + post_ins + post_del) == 3))) {
+        // Duplicate record.
+        diffs.splice(equalities[equalitiesLength - 1], 0,
+                     [DIFF_DELETE, lastequality]);
+        // Change second copy to insert.
+        diffs[equalities[equalitiesLength - 1] + 1][0] = DIFF_INSERT;
+        equalitiesLength--;  // Throw away the equality we just deleted;
+        lastequality = null;
+        if (pre_ins && pre_del) {
+          // No changes made which could affect previous entry, keep going.
+          post_ins = post_del = true;
+          equalitiesLength = 0;
+        } else {
+          equalitiesLength--;  // Throw away the previous equality.
+          pointer = equalitiesLength > 0 ?
+              equalities[equalitiesLength - 1] : -1;
+          post_ins = post_del = false;
+        }
+        changes = true;
+      }
+    }
+    pointer++;
+  }
+
+  if (changes) {
+    diff_cleanupMerge(diffs);
+  }
+};
+
+
+// Define some regex patterns for matching boundaries.
+var NON_ALPHA_NUMERIC_REGEX = /[^a-zA-Z0-9]/;
+var WHITESPACE_REGEX = /\s/;
+var LINEBREAK_REGEX = /[\r\n]/;
+var BLANKLINE_END_REGEX = /\n\r?\n$/;
+var BLANKLINE_START_REGEX = /^\r?\n\r?\n/;
+
+
+/**
+ * Reorder and merge like edit sections.  Merge equalities.
+ * Any edit section can move as long as it doesn't cross an equality.
+ * @param {Array} diffs Array of diff tuples. Diffs contain arrays of symbols.
+ * @param {function(*, *): boolean=} equals Optional symbol comparison.
+ */
+function diff_cleanupMerge(diffs, equals) {
+  diffs.push([DIFF_EQUAL, [] ]);  // Add a dummy entry at the end.
+  var pointer = 0;
+  var count_delete = 0;
+  var count_insert = 0;
+  var text_delete = [];
+  var text_insert = [];
+  var commonlength;
+  while (pointer < diffs.length) {
+    switch (diffs[pointer][0]) {
+      case DIFF_INSERT:
+        count_insert++;
+        text_insert = text_insert.concat( diffs[pointer][1] );
+        pointer++;
+        break;
+      case DIFF_DELETE:
+        count_delete++;
+        text_delete = text_delete.concat( diffs[pointer][1] );
+        pointer++;
+        break;
+      case DIFF_EQUAL:
+        // Upon reaching an equality, check for prior redundancies.
+        if (count_delete + count_insert > 1) {
+          if (count_delete !== 0 && count_insert !== 0) {
+            // Factor out any common prefixies.
+            commonlength = diff_commonPrefix(text_insert, text_delete, equals);
+            if (commonlength !== 0) {
+              if ((pointer - count_delete - count_insert) > 0 &&
+                  diffs[pointer - count_delete - count_insert - 1][0] ==
+                  DIFF_EQUAL) {
+                diffs[pointer - count_delete - count_insert - 1][1] =
+                    diffs[pointer - count_delete - count_insert - 1][1].concat(
+                    text_insert.slice(0, commonlength) );
+              } else {
+                diffs.splice(0, 0, [DIFF_EQUAL,
+                                    text_insert.slice(0, commonlength)]);
+                pointer++;
+              }
+              text_insert = text_insert.slice(commonlength);
+              text_delete = text_delete.slice(commonlength);
+            }
+            // Factor out any common suffixies.
+            commonlength = diff_commonSuffix(text_insert, text_delete, equals);
+            if (commonlength !== 0) {
+              diffs[pointer][1] = text_insert.slice(text_insert.length -
+                  commonlength).concat( diffs[pointer][1] );
+              text_insert = text_insert.slice(0, text_insert.length -
+                  commonlength);
+              text_delete = text_delete.slice(0, text_delete.length -
+                  commonlength);
+            }
+          }
+          // Delete the offending records and add the merged ones.
+          if (count_delete === 0) {
+            diffs.splice(pointer - count_insert,
+                count_delete + count_insert, [DIFF_INSERT, text_insert]);
+          } else if (count_insert === 0) {
+            diffs.splice(pointer - count_delete,
+                count_delete + count_insert, [DIFF_DELETE, text_delete]);
+          } else {
+            diffs.splice(pointer - count_delete - count_insert,
+                count_delete + count_insert, [DIFF_DELETE, text_delete],
+                [DIFF_INSERT, text_insert]);
+          }
+          pointer = pointer - count_delete - count_insert +
+                    (count_delete ? 1 : 0) + (count_insert ? 1 : 0) + 1;
+        } else if (pointer !== 0 && diffs[pointer - 1][0] == DIFF_EQUAL) {
+          // Merge this equality with the previous one.
+          diffs[pointer - 1][1] = diffs[pointer - 1][1].concat( diffs[pointer][1] );
+          diffs.splice(pointer, 1);
+        } else {
+          pointer++;
+        }
+        count_insert = 0;
+        count_delete = 0;
+        text_delete = [];
+        text_insert = [];
+        break;
+    }
+  }
+  if (diffs[diffs.length - 1][1].length === 0) {
+    diffs.pop();  // Remove the dummy entry at the end.
+  }
+
+  // Second pass: look for single edits surrounded on both sides by equalities
+  // which can be shifted sideways to eliminate an equality.
+  // e.g: A<ins>BA</ins>C -> <ins>AB</ins>AC
+  var changes = false;
+  pointer = 1;
+  // Intentionally ignore the first and last element (don't need checking).
+  while (pointer < diffs.length - 1) {
+    if (diffs[pointer - 1][0] == DIFF_EQUAL &&
+        diffs[pointer + 1][0] == DIFF_EQUAL) {
+      // This is a single edit surrounded by equalities.
+      if ( arraysEqual( diffs[pointer][1].slice(diffs[pointer][1].length -
+          diffs[pointer - 1][1].length), diffs[pointer - 1][1], equals ) ) {
+        // Shift the edit over the previous equality.
+        diffs[pointer][1] = diffs[pointer - 1][1].concat(
+            diffs[pointer][1].slice(0, diffs[pointer][1].length -
+                                        diffs[pointer - 1][1].length) );
+        diffs[pointer + 1][1] = diffs[pointer - 1][1].concat( diffs[pointer + 1][1] );
+        diffs.splice(pointer - 1, 1);
+        changes = true;
+      } else if ( arraysEqual (diffs[pointer][1].slice(0, diffs[pointer + 1][1].length),
+          diffs[pointer + 1][1], equals ) ) {
+        // Shift the edit over the next equality.
+        diffs[pointer - 1][1] = diffs[pointer - 1][1].concat( diffs[pointer + 1][1] );
+        diffs[pointer][1] =
+            diffs[pointer][1].slice(diffs[pointer + 1][1].length).concat(
+            diffs[pointer + 1][1] );
+        diffs.splice(pointer + 1, 1);
+        changes = true;
+      }
+    }
+    pointer++;
+  }
+  // If shifts were made, the diff needs reordering and another shift sweep.
+  if (changes) {
+    diff_cleanupMerge(diffs, equals);
+  }
+};
+
+
+/**
+ * loc is a location in text1, compute and return the equivalent location in
+ * text2.
+ * e.g. 'The cat' vs 'The big cat', 1->1, 5->8
+ * @param {Array} diffs Array of diff tuples.
+ * @param {number} loc Location within text1.
+ * @return {number} Location within text2.
+ */
+function diff_xIndex(diffs, loc) {
+  var chars1 = 0;
+  var chars2 = 0;
+  var last_chars1 = 0;
+  var last_chars2 = 0;
+  var x;
+  for (x = 0; x < diffs.length; x++) {
+    if (diffs[x][0] !== DIFF_INSERT) {  // Equality or deletion.
+      chars1 += diffs[x][1].length;
+    }
+    if (diffs[x][0] !== DIFF_DELETE) {  // Equality or insertion.
+      chars2 += diffs[x][1].length;
+    }
+    if (chars1 > loc) {  // Overshot the location.
+      break;
+    }
+    last_chars1 = chars1;
+    last_chars2 = chars2;
+  }
+  // Was the location was deleted?
+  if (diffs.length != x && diffs[x][0] === DIFF_DELETE) {
+    return last_chars2;
+  }
+  // Add the remaining character length.
+  return last_chars2 + (loc - last_chars1);
+};
+
+
+/**
+ * Compute and return the source text (all equalities and deletions).
+ * @param {Array} diffs Array of diff tuples. Diffs contain arrays of symbols.
+ * @return {Array.<string>} Source text as an array of symbols.
+ */
+function diff_text1(diffs) {
+  var text = [];
+  for (var x = 0; x < diffs.length; x++) {
+    if (diffs[x][0] !== DIFF_INSERT) {
+      text = text.concat( diffs[x][1] );
+    }
+  }
+  return text;
+};
+
+
+/**
+ * Compute and return the destination text (all equalities and insertions).
+ * @param {Array} diffs Array of diff tuples. Diffs contain arrays of symbols.
+ * @return {Array.<string>} Destination text as an array of symbols.
+ */
+function diff_text2(diffs) {
+  var text = [];
+  for (var x = 0; x < diffs.length; x++) {
+    if (diffs[x][0] !== DIFF_DELETE) {
+      text = text.concat( diffs[x][1] );
+    }
+  }
+  return text;
+};
+
+
+/**
+ * Compute the Levenshtein distance; the number of inserted, deleted or
+ * substituted symbols.
+ * @param {Array} diffs Array of diff tuples.
+ * @return {number} Number of changes.
+ */
+function diff_levenshtein(diffs) {
+  var levenshtein = 0;
+  var insertions = 0;
+  var deletions = 0;
+  for (var x = 0; x < diffs.length; x++) {
+    var op = diffs[x][0];
+    var data = diffs[x][1];
+    switch (op) {
+      case DIFF_INSERT:
+        insertions += data.length;
+        break;
+      case DIFF_DELETE:
+        deletions += data.length;
+        break;
+      case DIFF_EQUAL:
+        // A deletion and an insertion is one substitution.
+        levenshtein += Math.max(insertions, deletions);
+        insertions = 0;
+        deletions = 0;
+        break;
+    }
+  }
+  levenshtein += Math.max(insertions, deletions);
+  return levenshtein;
+};
+
+
+/**
+ * Compute the source text of a diff (all equalities and deletions).
+ * @param {Array} diffs Array of diff tuples, as returned by diff or
+ *     diff.arrays.
+ * @return {string|Array} Source text, or array for array diffs.
+ */
+function diff_startText1(diffs) {
+  return diff_joinText_(diffs, DIFF_INSERT);
+}
+
+
+/**
+ * Compute the destination text of a diff (all equalities and insertions).
+ * @param {Array} diffs Array of diff tuples, as returned by diff or
+ *     diff.arrays.
+ * @return {string|Array} Destination text, or array for array diffs.
+ */
+function diff_startText2(diffs) {
+  return diff_joinText_(diffs, DIFF_DELETE);
+}
+
+
+/**
+ * Join the contents of all diffs but those of one operation.
+ * @param {Array} diffs Array of diff tuples. Diffs contain strings or arrays.
+ * @param {number} skipOp Operation to leave out.
+ * @return {string|Array} Joined text.
+ * @private
+ */
+function diff_joinText_(diffs, skipOp) {
+  var text = [];
+  var strings = true;
+  for (var x = 0; x < diffs.length; x++) {
+    if (typeof diffs[x][1] !== 'string') {
+      strings = false;
+    }
+    if (diff_sideOp_(diffs[x]) !== skipOp) {
+      text.push(skipOp === DIFF_DELETE ? diff_text2Of_(diffs[x]) :
+                                         diffs[x][1]);
+    }
+  }
+  return strings ? text.join('') : Array.prototype.concat.apply([], text);
+}
+
+
+/**
+ * Find what a diff amounts to in the texts: moves are deletions where they
+ * were in text1 and insertions where they are in text2.
+ * @param {Array} diff Diff tuple.
+ * @return {number} DIFF_DELETE, DIFF_INSERT or DIFF_EQUAL.
+ * @private
+ */
+function diff_sideOp_(diff) {
+  if (diff[0] !== DIFF_MOVE) {
+    return diff[0];
+  }
+  return hasOwn(diff[2], 'to') ? DIFF_DELETE : DIFF_INSERT;
+}
+
+
+/**
+ * Find the text a diff holds in text2, which for equalities of diffs
+ * computed with ignore or normalize options can differ from text1's.
+ * @param {Array} diff Diff tuple which is not a deletion.
+ * @return {string|Array} Contents of the diff in text2.
+ * @private
+ */
+function diff_text2Of_(diff) {
+  return diff[0] === DIFF_EQUAL && diff[2] ? diff[2].text2 : diff[1];
+}
+
+
+/**
+ * Spell out the equalities whose text differs between the texts as the
+ * deletion of text1's and the insertion of text2's, for functions which
+ * have to reproduce text2 exactly.
+ * @param {Array} diffs Array of diff tuples.
+ * @return {Array} Array of diff tuples, the same one if nothing changed.
+ * @private
+ */
+function diff_literal_(diffs) {
+  var literal = [];
+  var changed = false;
+  for (var x = 0; x < diffs.length; x++) {
+    if (diffs[x][0] === DIFF_EQUAL && diffs[x][2]) {
+      literal.push([DIFF_DELETE, diffs[x][1]],
+                   [DIFF_INSERT, diffs[x][2].text2]);
+      changed = true;
+    } else {
+      literal.push(diffs[x]);
+    }
+  }
+  return changed ? literal : diffs;
+}
+
+
+/**
+ * Compute the Levenshtein distance of a diff; the number of inserted,
+ * deleted or substituted characters.
+ * @param {Array} diffs Array of diff tuples, as returned by diff or
+ *     diff.arrays.
+ * @param {Object=} options Optional settings:
+ *     unit {string} See UNITS, defaults to 'codepoint'. Array diffs count
+ *         elements.
+ * @return {number} Number of changes.
+ */
+function diff_startLevenshtein(diffs, options) {
+  return diff_levenshtein(diff_toUnits_(diffs, options));
+}
+
+
+/**
+ * Translate a location in the source text of a diff to the equivalent
+ * location in the destination text.  A location inside a deletion maps to
+ * the start of the deletion.
+ * e.g. 'The cat' vs 'The big cat', 1->1, 5->8
+ * @param {Array} diffs Array of diff tuples, as returned by diff or
+ *     diff.arrays.
+ * @param {number} loc Location within the source text.
+ * @param {Object=} options Optional settings:
+ *     unit {string} See UNITS, defaults to 'codepoint'. Array diffs count
+ *         elements.
+ * @return {number} Location within the destination text.
+ */
+function diff_startXIndex(diffs, loc, options) {
+  if (typeof loc !== 'number' || !(loc >= 0)) {
+    throw new TypeError('loc must be a non-negative number');
+  }
+  return diff_xIndex(diff_toUnits_(diffs, options, true), loc);
+}
+
+
+/**
+ * Split the string contents of diffs into the unit positions are counted in.
+ * Array contents are left as they are.
+ * @param {Array} diffs Array of diff tuples. Diffs contain strings or arrays.
+ * @param {Object=} options Optional settings, see diff_startLevenshtein.
+ * @param {boolean=} lengths2 Whether the lengths in text2 matter, so that
+ *     equalities with a different length in text2 have to be deleted and
+ *     inserted.  Otherwise equalities count as they are in text1.
+ * @return {Array} New array of diff tuples. Diffs contain arrays.
+ * @private
+ */
+function diff_toUnits_(diffs, options, lengths2) {
+  var unit = (options && options.unit) || 'codepoint';
+  if (UNITS.indexOf(unit) === -1) {
+    throw new Error('Unknown unit: ' + unit);
+  }
+  var toUnits = function(data) {
+    return typeof data === 'string' ? stringToUnitsArray(data, unit) : data;
+  };
+  var units = [];
+  for (var x = 0; x < diffs.length; x++) {
+    var data = toUnits(diffs[x][1]);
+    if (lengths2 && diffs[x][0] === DIFF_EQUAL && diffs[x][2]) {
+      var data2 = toUnits(diffs[x][2].text2);
+      if (data2.length !== data.length) {
+        units.push([DIFF_DELETE, data], [DIFF_INSERT, data2]);
+        continue;
+      }
+    }
+    units.push([diff_sideOp_(diffs[x]), data]);
+  }
+  return units;
+}
+
+
+/**
+ * Crush the diff into an encoded string which describes the operations
+ * required to transform text1 into text2.
+ * E.g. =3\t-2\t+ing  -> Keep 3 symbols, delete 2 symbols, insert 'ing'.
+ * Operations are tab-separated.  Inserted text is escaped using %xx notation,
+ * unpaired surrogates as %uXXXX.
+ * Lengths are counted in code points.
+ * @param {Array} diffs Array of diff tuples. Diffs contain strings.
+ * @return {string} Delta text.
+ */
+function diff_toDelta(diffs) {
+  diffs = diff_literal_(diffs);
+  var text = [];
+  for (var x = 0; x < diffs.length; x++) {
+    switch (diff_sideOp_(diffs[x])) {
+      case DIFF_INSERT:
+        text[x] = '+' + encodeURIText(diffs[x][1]);
+        break;
+      case DIFF_DELETE:
+        text[x] = '-' + stringToSymbolsArray(diffs[x][1]).length;
+        break;
+      case DIFF_EQUAL:
+        text[x] = '=' + stringToSymbolsArray(diffs[x][1]).length;
+        break;
+    }
+  }
+  return text.join('\t').replace(/%20/g, ' ');
+};
+
+
+/**
+ * Given the original text1, and an encoded string which describes the
+ * operations required to transform text1 into text2, compute the full diff.
+ * @param {string} text1 Source string for the diff.
+ * @param {string} delta Delta text.
+ * @return {Array} Array of diff tuples. Diffs contain strings.
+ * @throws {!Error} If invalid input.
+ */
+function diff_fromDelta(text1, delta) {
+  var diffs = [];
+  var diffsLength = 0;  // Keeping our own length var is faster in JS.
+  var pointer = 0;  // Cursor in text1
+  var symbols = stringToSymbolsArray(text1);
+  var tokens = delta.split(/\t/g);
+  for (var x = 0; x < tokens.length; x++) {
+    // Each token begins with a one character parameter which specifies the
+    // operation of this token (delete, insert, equality).
+    var param = tokens[x].substring(1);
+    switch (tokens[x].charAt(0)) {
+      case '+':
+        try {
+          diffs[diffsLength++] = [DIFF_INSERT, decodeURIText(param)];
+        } catch (ex) {
+          // Malformed URI sequence.
+          throw new Error('Illegal escape in diff_fromDelta: ' + param);
+        }
+        break;
+      case '-':
+        // Fall through.
+      case '=':
+        var n = parseInt(param, 10);
+        if (isNaN(n) || n < 0 || String(n) !== param) {
+          throw new Error('Invalid number in diff_fromDelta: ' + param);
+        }
+        if (pointer + n > symbols.length) {
+          throw new Error('Delta runs past the end of the source text (' +
+                          (pointer + n) + ' > ' + symbols.length + ').');
+        }
+        var text = symbolsArrayToString(symbols.slice(pointer, pointer += n));
+        if (tokens[x].charAt(0) == '=') {
+          diffs[diffsLength++] = [DIFF_EQUAL, text];
+        } else {
+          diffs[diffsLength++] = [DIFF_DELETE, text];
+        }
+        break;
+      default:
+        // Blank tokens are ok (from a trailing \t).
+        // Anything else is an error.
+        if (tokens[x]) {
+          throw new Error('Invalid diff operation in diff_fromDelta: ' +
+                          tokens[x]);
+        }
+    }
+  }
+  if (pointer != symbols.length) {
+    throw new Error('Delta length (' + pointer +
+        ') does not equal source text length (' + symbols.length + ').');
+  }
+  return diffs;
+};
+
+
+/**
+ * Converts diffs array contents from arrays of symbols to strings.
+ * @param {Array} diffs Array of diff tuples. Diffs should contain arrays of symbols.
+ */
+function diff_convertToStrings(diffs) {
+  var diffsLen = diffs.length;
+  for (var i = 0; i < diffsLen; i++) {
+    diffs[i][1] = symbolsArrayToString( diffs[i][1] );
+    if (diffs[i][0] === DIFF_EQUAL && diffs[i][2]) {
+      diffs[i][2].text2 = symbolsArrayToString(diffs[i][2].text2);
+    }
+  }
+}
+
+
+/**
+ * Converts diffs to records of where each diff is in both texts.
+ * Insertions have an empty range in text1, deletions one in text2. Moves
+ * are like deletions at their source and insertions at their target, and
+ * keep their reference to the other end.  Equalities can differ in length
+ * between the texts when symbols were compared under ignore options.
+ * @param {Array} diffs Array of diff tuples. Diffs contain strings.
+ * @param {string} unit Unit the offsets are counted in, see UNITS.
+ * @return {Array.<{op: number, start1: number, end1: number, start2: number,
+ *     end2: number}>} Array of ranges.
+ */
+function diff_toRanges_(diffs, unit) {
+  var ranges = [];
+  var index1 = 0;
+  var index2 = 0;
+  for (var x = 0; x < diffs.length; x++) {
+    var op = diff_sideOp_(diffs[x]);
+    var length = stringToUnitsArray(diffs[x][1], unit).length;
+    var text2 = op === DIFF_DELETE ? diffs[x][1] : diff_text2Of_(diffs[x]);
+    var length2 = text2 === diffs[x][1] ? length :
+        stringToUnitsArray(text2, unit).length;
+    var range = {op: diffs[x][0], start1: index1, end1: index1,
+                 start2: index2, end2: index2};
+    if (op !== DIFF_INSERT) {
+      index1 += length;
+      range.end1 = index1;
+    }
+    if (op !== DIFF_DELETE) {
+      index2 += length2;
+      range.end2 = index2;
+    }
+    if (range.op === DIFF_MOVE) {
+      range[op === DIFF_DELETE ? 'to' : 'from'] =
+          diffs[x][2][op === DIFF_DELETE ? 'to' : 'from'];
+    }
+    ranges.push(range);
+  }
+  return ranges;
+}
+
+
+
+/**
+ * Check and complete the move detection options of diff_start.
+ * @param {boolean|Object} moves true, or {minLength, similarity}.
+ * @return {{minLength: number, similarity: number}} Complete options.
+ * @private
+ */
+function diff_moveOptions_(moves) {
+  var minLength = moves.minLength;
+  if (minLength === undefined) {
+    minLength = MOVE_MIN_LENGTH;
+  } else if (typeof minLength !== 'number' || !(minLength >= 0)) {
+    throw new TypeError('options.moves.minLength must be a non-negative ' +
+                        'number');
+  }
+  var similarity = moves.similarity;
+  if (similarity === undefined) {
+    similarity = 1;
+  } else if (typeof similarity !== 'number' ||
+             !(similarity > 0 && similarity <= 1)) {
+    throw new TypeError('options.moves.similarity must be a number ' +
+                        'above 0 and at most 1');
+  }
+  return {minLength: minLength, similarity: similarity};
+}
+
+
+/**
+ * Pair up deletions and insertions of the same (or similar enough) block in
+ * different places, and turn them into moves referencing each other.
+ * Deletions are paired in order, with an identical insertion if there is
+ * one, otherwise with the most similar.  A deletion and an insertion which
+ * are not separated by an equality are a replacement, never a move.
+ * Once the deadline has passed only identical blocks are paired.
+ * @param {Array} diffs Array of diff tuples. Diffs contain arrays of
+ *     symbols or tokens.
+ * @param {number} minLength Shortest block to move, in code points.
+ * @param {number} similarity Share of a block which must be unchanged.
+ * @param {Object} context Diff context, see diff_context_.  Flagged as
+ *     truncated if the deadline stops the comparison of blocks.
+ * @private
+ */
+function diff_detectMoves_(diffs, minLength, similarity, context) {
+  // Blocks long enough to be moved, with the edit group they are in.
+  var deletions = [];
+  var insertions = [];
+  var group = 0;
+  for (var x = 0; x < diffs.length; x++) {
+    if (diffs[x][0] === DIFF_EQUAL) {
+      group++;
+      continue;
+    }
+    var codePoints = stringToCodePoints(symbolsArrayToString(diffs[x][1]));
+    if (codePoints.length >= minLength) {
+      (diffs[x][0] === DIFF_DELETE ? deletions : insertions).push(
+          {index: x, group: group, codePoints: codePoints});
+    }
+  }
+
+  for (x = 0; x < deletions.length; x++) {
+    var deletion = deletions[x];
+    var best = -1;
+    var bestSimilarity = 0;
+    for (var y = 0; y < insertions.length && bestSimilarity < 1; y++) {
+      var insertion = insertions[y];
+      if (insertion.group === deletion.group) {
+        continue;
+      }
+      var ratio = diff_similarity_(deletion.codePoints, insertion.codePoints,
+                                   similarity, context);
+      if (ratio >= similarity && ratio > bestSimilarity) {
+        best = y;
+        bestSimilarity = ratio;
+      }
+    }
+    if (best !== -1) {
+      var to = insertions.splice(best, 1)[0].index;
+      diffs[deletion.index] = [DIFF_MOVE, diffs[deletion.index][1], {to: to}];
+      diffs[to] = [DIFF_MOVE, diffs[to][1], {from: deletion.index}];
+    }
+  }
+}
+
+
+/**
+ * Compute the share of two blocks which is unchanged between them.
+ * @param {Array.<number>} codePoints1 Code points of the first block.
+ * @param {Array.<number>} codePoints2 Code points of the second block.
+ * @param {number} threshold Similarity below which the exact value does
+ *     not matter.
+ * @param {Object} context Diff context, see diff_context_.
+ * @return {number} 1 for identical blocks, down to 0.  0 for blocks which
+ *     are not identical once the deadline has passed.
+ * @private
+ */
+function diff_similarity_(codePoints1, codePoints2, threshold, context) {
+  var length = Math.max(codePoints1.length, codePoints2.length);
+  if (arraysEqual(codePoints1, codePoints2)) {
+    return 1;
+  }
+  // Skip diffing blocks which cannot be similar enough anyway.
+  if (threshold === 1 ||
+      Math.min(codePoints1.length, codePoints2.length) / length <
+          threshold) {
+    return 0;
+  }
+  if (context.deadline !== undefined && Date.now() > context.deadline) {
+    context.truncated = true;
+    return 0;
+  }
+  return 1 - diff_levenshtein(diff_main(codePoints1, codePoints2, context)) /
+      length;
+}
+
+
+//  MATCH FUNCTIONS
+
+
+/**
+ * At what point is no match declared (0.0 = perfection, 1.0 = very loose).
+ */
+var MATCH_THRESHOLD = 0.5;
+
+/**
+ * How far to search for a match (0 = exact location, 1000+ = broad match).
+ * A match this many symbols away from the expected location will add
+ * 1.0 to the score (0.0 is a perfect match).
+ */
+var MATCH_DISTANCE = 1000;
+
+/**
+ * The number of bits in an int, which limits the length of a pattern.
+ */
+var MATCH_MAX_BITS = 32;
+
+
+/**
+ * Entry point for locating the best instance of 'pattern' in 'text' near
+ * 'loc'. Both strings are converted to arrays of symbols, so locations are
+ * counted in code points.
+ * @param {string} text The text to search.
+ * @param {string} pattern The pattern to search for.
+ * @param {number=} loc The location to search around, defaults to 0.
+ *     Locations past the end of the text search around its end.
+ * @param {Object=} options Optional settings:
+ *     threshold {number} See MATCH_THRESHOLD.
+ *     distance {number} See MATCH_DISTANCE.
+ * @return {number} Best match index or -1.
+ */
+function match_start(text, pattern, loc, options) {
+  if (typeof text !== 'string' || typeof pattern !== 'string') {
+    throw new TypeError('match requires a text and a pattern string');
+  }
+  if (loc === undefined || loc === null) {
+    loc = 0;
+  } else if (typeof loc !== 'number' || !(loc >= 0) || loc % 1 !== 0) {
+    throw new TypeError('loc must be a non-negative integer');
+  }
+  var settings = match_options_(options);
+  return match_main(stringToSymbolsArray(text), stringToSymbolsArray(pattern),
+                    loc, settings.threshold, settings.distance);
+}
+
+
+/**
+ * Read the fuzzy matching settings from an options object.
+ * @param {Object=} options Optional settings:
+ *     threshold {number} See MATCH_THRESHOLD.
+ *     distance {number} See MATCH_DISTANCE.
+ * @return {{threshold: number, distance: number}} The settings, with
+ *     defaults filled in.
+ * @private
+ */
+function match_options_(options) {
+  options = options || {};
+  var threshold = options.threshold !== undefined ?
+      options.threshold : MATCH_THRESHOLD;
+  if (typeof threshold !== 'number' || !(threshold >= 0 && threshold <= 1)) {
+    throw new TypeError('options.threshold must be a number from 0 to 1');
+  }
+  var distance = options.distance !== undefined ?
+      options.distance : MATCH_DISTANCE;
+  if (typeof distance !== 'number' || !(distance >= 0)) {
+    throw new TypeError('options.distance must be a non-negative number');
+  }
+  return {threshold: threshold, distance: distance};
+}
+
+
+/**
+ * Locate the best instance of 'pattern' in 'text' near 'loc'.
+ * @param {Array.<string>} text The array of symbols to search.
+ * @param {Array.<string>} pattern The array of symbols to search for.
+ * @param {number} loc The location to search around.
+ * @param {number} threshold See MATCH_THRESHOLD.
+ * @param {number} distance See MATCH_DISTANCE.
+ * @return {number} Best match index or -1.
+ */
+function match_main(text, pattern, loc, threshold, distance) {
+  loc = Math.max(0, Math.min(loc, text.length));
+  if ( arraysEqual(text, pattern) ) {
+    // Shortcut (potentially not guaranteed by the algorithm)
+    return 0;
+  } else if (!text.length) {
+    // Nothing to match.
+    return -1;
+  } else if ( arraysEqual(text.slice(loc, loc + pattern.length), pattern) ) {
+    // Perfect match at the perfect spot!  (Includes case of null pattern)
+    return loc;
+  } else if (pattern.length > MATCH_MAX_BITS) {
+    // Too long for the bit arrays, match both ends instead.
+    return match_long_(text, pattern, loc, threshold, distance);
+  } else {
+    // Do a fuzzy compare.
+    return match_bitap_(text, pattern, loc, threshold, distance);
+  }
+};
+
+
+/**
+ * Locate the best instance of 'pattern' in 'text' near 'loc' using the
+ * Bitap algorithm.
+ * @param {Array.<string>} text The array of symbols to search.
+ * @param {Array.<string>} pattern The array of symbols to search for.
+ * @param {number} loc The location to search around.
+ * @param {number} threshold See MATCH_THRESHOLD.
+ * @param {number} distance See MATCH_DISTANCE.
+ * @return {number} Best match index or -1.
+ * @private
+ */
+function match_bitap_(text, pattern, loc, threshold, distance) {
+  if (pattern.length > MATCH_MAX_BITS) {
+    throw new Error('Pattern too long for bitap matching.');
+  }
+
+  // Initialise the alphabet.
+  var s = match_alphabet_(pattern);
+
+  /**
+   * Compute and return the score for a match with e errors and x location.
+   * Accesses loc, pattern and distance through being a closure.
+   * @param {number} e Number of errors in match.
+   * @param {number} x Location of match.
+   * @return {number} Overall score for match (0.0 = good, 1.0 = bad).
+   * @private
+   */
+  function match_bitapScore_(e, x) {
+    var accuracy = e / pattern.length;
+    var proximity = Math.abs(loc - x);
+    if (!distance) {
+      // Dodge divide by zero error.
+      return proximity ? 1.0 : accuracy;
+    }
+    return accuracy + (proximity / distance);
+  }
+
+  // Highest score beyond which we give up.
+  var score_threshold = threshold;
+  // Is there a nearby exact match? (speedup)
+  var best_loc = subArrayIndexOf(text, pattern, loc);
+  if (best_loc != -1) {
+    score_threshold = Math.min(match_bitapScore_(0, best_loc), score_threshold);
+    // What about in the other direction? (speedup)
+    best_loc = subArrayLastIndexOf(text, pattern, loc + pattern.length);
+    if (best_loc != -1) {
+      score_threshold =
+          Math.min(match_bitapScore_(0, best_loc), score_threshold);
+    }
+  }
+
+  // Initialise the bit arrays.
+  var matchmask = 1 << (pattern.length - 1);
+  best_loc = -1;
+
+  var bin_min, bin_mid;
+  var bin_max = pattern.length + text.length;
+  var last_rd;
+  for (var d = 0; d < pattern.length; d++) {
+    // Scan for the best match; each iteration allows for one more error.
+    // Run a binary search to determine how far from 'loc' we can stray at this
+    // error level.
+    bin_min = 0;
+    bin_mid = bin_max;
+    while (bin_min < bin_mid) {
+      if (match_bitapScore_(d, loc + bin_mid) <= score_threshold) {
+        bin_min = bin_mid;
+      } else {
+        bin_max = bin_mid;
+      }
+      bin_mid = Math.floor((bin_max - bin_min) / 2 + bin_min);
+    }
+    // Use the result from this iteration as the maximum for the next.
+    bin_max = bin_mid;
+    var start = Math.max(1, loc - bin_mid + 1);
+    var finish = Math.min(loc + bin_mid, text.length) + pattern.length;
+
+    var rd = Array(finish + 2);
+    rd[finish + 1] = (1 << d) - 1;
+    for (var j = finish; j >= start; j--) {
+      // The alphabet (s) is a sparse hash, so the following line generates
+      // warnings.
+      var charMatch = s[text[j - 1]];
+      if (d === 0) {  // First pass: exact match.
+        rd[j] = ((rd[j + 1] << 1) | 1) & charMatch;
+      } else {  // Subsequent passes: fuzzy match.
+        rd[j] = (((rd[j + 1] << 1) | 1) & charMatch) |
+                (((last_rd[j + 1] | last_rd[j]) << 1) | 1) |
+                last_rd[j + 1];
+      }
+      if (rd[j] & matchmask) {
+        var score = match_bitapScore_(d, j - 1);
+        // This match will almost certainly be better than any existing match.
+        // But check anyway.
+        if (score <= score_threshold) {
+          // Told you so.
+          score_threshold = score;
+          best_loc = j - 1;
+          if (best_loc > loc) {
+            // When passing loc, don't exceed our current distance from loc.
+            start = Math.max(1, 2 * loc - best_loc);
+          } else {
+            // Already passed loc, downhill from here on in.
+            break;
+          }
+        }
+      }
+    }
+    // No hope for a (better) match at greater error levels.
+    if (match_bitapScore_(d + 1, loc) > score_threshold) {
+      break;
+    }
+    last_rd = rd;
+  }
+  return best_loc;
+};
+
+
+/**
+ * Locate the best instance of a 'pattern' longer than MATCH_MAX_BITS in
+ * 'text' near 'loc'. Both ends of the pattern are located with the Bitap
+ * algorithm, then the whole pattern is compared to the text between them.
+ * @param {Array.<string>} text The array of symbols to search.
+ * @param {Array.<string>} pattern The array of symbols to search for.
+ * @param {number} loc The location to search around.
+ * @param {number} threshold See MATCH_THRESHOLD.
+ * @param {number} distance See MATCH_DISTANCE.
+ * @return {number} Best match index or -1.
+ * @private
+ */
+function match_long_(text, pattern, loc, threshold, distance) {
+  var start_loc = match_bitap_(text, pattern.slice(0, MATCH_MAX_BITS), loc,
+                               threshold, distance);
+  if (start_loc == -1) {
+    return -1;
+  }
+  var tail_length = pattern.length - MATCH_MAX_BITS;
+  var end_loc = match_bitap_(text, pattern.slice(tail_length),
+                             start_loc + tail_length, threshold, distance);
+  if (end_loc <= start_loc) {
+    // Can't find valid trailing context.
+    return -1;
+  }
+  // The end points match, check the content in between.
+  var diffs = diff_main(pattern, text.slice(start_loc,
+                                            end_loc + MATCH_MAX_BITS));
+  if (diff_levenshtein(diffs) / pattern.length > threshold) {
+    return -1;
+  }
+  return start_loc;
+};
+
+
+/**
+ * Initialise the alphabet for the Bitap algorithm.
+ * @param {Array.<string>} pattern The array of symbols to encode.
+ * @return {!Object} Hash of symbol locations.
+ * @private
+ */
+function match_alphabet_(pattern) {
+  var s = Object.create(null);
+  for (var i = 0; i < pattern.length; i++) {
+    s[pattern[i]] = 0;
+  }
+  for (var i = 0; i < pattern.length; i++) {
+    s[pattern[i]] |= 1 << (pattern.length - i - 1);
+  }
+  return s;
+};
+
+
+//  PATCH FUNCTIONS
+
+
+/**
+ * Chunk size for context length.
+ */
+var PATCH_MARGIN = 4;
+
+/**
+ * When deleting a large block of text (over ~64 symbols), how close do the
+ * contents have to be to match the expected contents. (0.0 = perfection,
+ * 1.0 = very loose).  Note that MATCH_THRESHOLD controls how closely the
+ * end points of a delete need to match.
+ */
+var PATCH_DELETE_THRESHOLD = 0.5;
+
+
+/**
+ * A patch is a plain object holding a list of diffs (containing strings)
+ * and the location of the patch in the old and new text:
+ * {diffs: [[DIFF_EQUAL, 'a'], [DIFF_INSERT, 'b']],
+ *  start1: 0, start2: 0, length1: 1, length2: 2}
+ * All locations and lengths are counted in code points.
+ * @return {{diffs: Array, start1: ?number, start2: ?number,
+ *     length1: number, length2: number}} An empty patch.
+ * @private
+ */
+function patch_obj_() {
+  return {diffs: [], start1: null, start2: null, length1: 0, length2: 0};
+}
+
+
+/**
+ * Increase the context until it is unique,
+ * but don't let the pattern expand beyond MATCH_MAX_BITS.
+ * @param {Object} patch The patch to grow. Diffs contain arrays of symbols.
+ * @param {Array.<string>} text Source text as an array of symbols.
+ * @private
+ */
+function patch_addContext_(patch, text) {
+  if (text.length == 0) {
+    return;
+  }
+  if (patch.start2 === null) {
+    throw new Error('patch not initialized');
+  }
+  var pattern = text.slice(patch.start2, patch.start2 + patch.length1);
+  var padding = 0;
+
+  // Look for the first and last matches of pattern in text.  If two different
+  // matches are found, increase the pattern length.
+  while (subArrayIndexOf(text, pattern, subArrayIndexOf(text, pattern) + 1) !=
+         -1 && pattern.length < MATCH_MAX_BITS - PATCH_MARGIN - PATCH_MARGIN) {
+    padding += PATCH_MARGIN;
+    pattern = text.slice(Math.max(0, patch.start2 - padding),
+                         patch.start2 + patch.length1 + padding);
+  }
+  // Add one chunk for good luck.
+  padding += PATCH_MARGIN;
+
+  // Add the prefix.
+  var prefix = text.slice(Math.max(0, patch.start2 - padding), patch.start2);
+  if (prefix.length) {
+    patch.diffs.unshift([DIFF_EQUAL, prefix]);
+  }
+  // Add the suffix.
+  var suffix = text.slice(patch.start2 + patch.length1,
+                          patch.start2 + patch.length1 + padding);
+  if (suffix.length) {
+    patch.diffs.push([DIFF_EQUAL, suffix]);
+  }
+
+  // Roll back the start points.
+  patch.start1 -= prefix.length;
+  patch.start2 -= prefix.length;
+  // Extend the lengths.
+  patch.length1 += prefix.length + suffix.length;
+  patch.length2 += prefix.length + suffix.length;
+};
+
+
+/**
+ * Compute a list of patches to turn text1 into text2.
+ * Use diffs if provided, otherwise compute them.
+ * Three call forms are supported:
+ * patch_make(text1, text2), patch_make(text1, diffs) and patch_make(diffs).
+ * @param {string|Array} a text1 (methods 1, 2) or array of diff tuples
+ *     (method 3). Diffs contain strings.
+ * @param {string|Array=} opt_b text2 (method 1) or array of diff tuples
+ *     (method 2).
+ * @return {Array.<Object>} Array of patches.
+ */
+function patch_make(a, opt_b) {
+  var text1, diffs;
+  if (typeof a == 'string' && typeof opt_b == 'string') {
+    // Method 1: text1, text2
+    // Compute diffs from text1 and text2.
+    text1 = stringToSymbolsArray(a);
+    diffs = diff_main(text1, stringToSymbolsArray(opt_b));
+    if (diffs.length > 2) {
+      diff_cleanupSemantic(diffs);
+      diff_cleanupEfficiency(diffs, DEFAULT_EDIT_COST);
+    }
+  } else if (a && typeof a == 'object' && typeof opt_b == 'undefined') {
+    // Method 3: diffs
+    // Compute text1 from diffs.
+    diffs = patch_diffsToSymbols_(a);
+    text1 = diff_text1(diffs);
+  } else if (typeof a == 'string' && opt_b && typeof opt_b == 'object') {
+    // Method 2: text1, diffs
+    text1 = stringToSymbolsArray(a);
+    diffs = patch_diffsToSymbols_(opt_b);
+  } else {
+    throw new Error('Unknown call format to patch_make.');
+  }
+
+  if (diffs.length === 0) {
+    return [];  // Get rid of the null case.
+  }
+  var patches = [];
+  var patch = patch_obj_();
+  var patchDiffLength = 0;  // Keeping our own length var is faster in JS.
+  var char_count1 = 0;  // Number of symbols into the text1 array.
+  var char_count2 = 0;  // Number of symbols into the text2 array.
+  // Start with text1 (prepatch_text) and apply the diffs until we arrive at
+  // text2 (postpatch_text).  We recreate the patches one by one to determine
+  // context info.
+  var prepatch_text = text1;
+  var postpatch_text = text1;
+  for (var x = 0; x < diffs.length; x++) {
+    var diff_type = diffs[x][0];
+    var diff_text = diffs[x][1];
+
+    if (!patchDiffLength && diff_type !== DIFF_EQUAL) {
+      // A new patch starts here.
+      patch.start1 = char_count1;
+      patch.start2 = char_count2;
+    }
+
+    switch (diff_type) {
+      case DIFF_INSERT:
+        patch.diffs[patchDiffLength++] = diffs[x];
+        patch.length2 += diff_text.length;
+        postpatch_text = postpatch_text.slice(0, char_count2).concat(
+            diff_text, postpatch_text.slice(char_count2) );
+        break;
+      case DIFF_DELETE:
+        patch.length1 += diff_text.length;
+        patch.diffs[patchDiffLength++] = diffs[x];
+        postpatch_text = postpatch_text.slice(0, char_count2).concat(
+            postpatch_text.slice(char_count2 + diff_text.length) );
+        break;
+      case DIFF_EQUAL:
+        if (diff_text.length <= 2 * PATCH_MARGIN &&
+            patchDiffLength && diffs.length != x + 1) {
+          // Small equality inside a patch.
+          patch.diffs[patchDiffLength++] = diffs[x];
+          patch.length1 += diff_text.length;
+          patch.length2 += diff_text.length;
+        } else if (diff_text.length >= 2 * PATCH_MARGIN) {
+          // Time for a new patch.
+          if (patchDiffLength) {
+            patch_addContext_(patch, prepatch_text);
+            patches.push(patch);
+            patch = patch_obj_();
+            patchDiffLength = 0;
+            // Unlike Unidiff, our patch lists have a rolling context.
+            // http://code.google.com/p/google-diff-match-patch/wiki/Unidiff
+            // Update prepatch text & pos to reflect the application of the
+            // just completed patch.
+            prepatch_text = postpatch_text;
+            char_count1 = char_count2;
+          }
+        }
+        break;
+    }
+
+    // Update the current symbol count.
+    if (diff_type !== DIFF_INSERT) {
+      char_count1 += diff_text.length;
+    }
+    if (diff_type !== DIFF_DELETE) {
+      char_count2 += diff_text.length;
+    }
+  }
+  // Pick up the leftover patch if not empty.
+  if (patchDiffLength) {
+    patch_addContext_(patch, prepatch_text);
+    patches.push(patch);
+  }
+
+  for (x = 0; x < patches.length; x++) {
+    diff_convertToStrings(patches[x].diffs);
+  }
+  return patches;
+};
+
+
+/**
+ * Given an array of patches, return another array that is identical.
+ * Diffs of the copied patches contain arrays of symbols.
+ * @param {Array.<Object>} patches Array of patches. Diffs contain strings.
+ * @return {Array.<Object>} Array of patches.
+ * @private
+ */
+function patch_deepCopy_(patches) {
+  // Making deep copies is hard in JavaScript.
+  var patchesCopy = [];
+  for (var x = 0; x < patches.length; x++) {
+    var patch = patches[x];
+    var patchCopy = patch_obj_();
+    patchCopy.diffs = patch_diffsToSymbols_(patch.diffs);
+    patchCopy.start1 = patch.start1;
+    patchCopy.start2 = patch.start2;
+    patchCopy.length1 = patch.length1;
+    patchCopy.length2 = patch.length2;
+    patchesCopy[x] = patchCopy;
+  }
+  return patchesCopy;
+};
+
+
+/**
+ * Copy an array of diff tuples, converting their strings to arrays of
+ * symbols.
+ * @param {Array} diffs Array of diff tuples. Diffs contain strings.
+ * @return {Array} Array of diff tuples. Diffs contain arrays of symbols.
+ * @private
+ */
+function patch_diffsToSymbols_(diffs) {
+  diffs = diff_literal_(diffs);
+  var diffsCopy = [];
+  for (var x = 0; x < diffs.length; x++) {
+    diffsCopy[x] = [diff_sideOp_(diffs[x]), stringToSymbolsArray(diffs[x][1])];
+  }
+  return diffsCopy;
+}
+
+
+/**
+ * Merge a set of patches onto the text.  Return a patched text, as well
+ * as a list of true/false values indicating which patches were applied.
+ * @param {Array.<Object>} patches Array of patches.
+ * @param {string} text Old text.
+ * @param {Object=} options Optional settings:
+ *     threshold {number} See MATCH_THRESHOLD.
+ *     distance {number} See MATCH_DISTANCE.
+ *     deleteThreshold {number} See PATCH_DELETE_THRESHOLD.
+ * @return {Array.<string|Array.<boolean>>} Two element Array, containing the
+ *      new text and an array of boolean values.
+ */
+function patch_apply(patches, text, options) {
+  if (patches.length == 0) {
+    return [text, []];
+  }
+  var settings = match_options_(options);
+  var threshold = settings.threshold;
+  var distance = settings.distance;
+  var deleteThreshold = options && options.deleteThreshold !== undefined ?
+      options.deleteThreshold : PATCH_DELETE_THRESHOLD;
+
+  // Deep copy the patches so that no changes are made to originals.
+  patches = patch_deepCopy_(patches);
+
+  var nullPadding = patch_addPadding_(patches);
+  text = nullPadding.concat( stringToSymbolsArray(text), nullPadding );
+
+  patch_splitMax_(patches);
+  // delta keeps track of the offset between the expected and actual location
+  // of the previous patch.  If there are patches expected at positions 10 and
+  // 20, but the first patch was found at 12, delta is 2 and the second patch
+  // has an effective expected position of 22.
+  var delta = 0;
+  var results = [];
+  for (var x = 0; x < patches.length; x++) {
+    var expected_loc = patches[x].start2 + delta;
+    var text1 = diff_text1(patches[x].diffs);
+    var start_loc;
+    var end_loc = -1;
+    if (text1.length > MATCH_MAX_BITS) {
+      // patch_splitMax_ will only provide an oversized pattern in the case of
+      // a monster delete.
+      start_loc = match_main(text, text1.slice(0, MATCH_MAX_BITS),
+                             expected_loc, threshold, distance);
+      if (start_loc != -1) {
+        end_loc = match_main(text,
+            text1.slice(text1.length - MATCH_MAX_BITS),
+            expected_loc + text1.length - MATCH_MAX_BITS,
+            threshold, distance);
+        if (end_loc == -1 || start_loc >= end_loc) {
+          // Can't find valid trailing context.  Drop this patch.
+          start_loc = -1;
+        }
+      }
+    } else {
+      start_loc = match_main(text, text1, expected_loc, threshold, distance);
+    }
+    if (start_loc == -1) {
+      // No match found.  :(
+      results[x] = false;
+      // Subtract the delta for this failed patch from subsequent patches.
+      delta -= patches[x].length2 - patches[x].length1;
+    } else {
+      // Found a match.  :)
+      results[x] = true;
+      delta = start_loc - expected_loc;
+      var text2;
+      if (end_loc == -1) {
+        text2 = text.slice(start_loc, start_loc + text1.length);
+      } else {
+        text2 = text.slice(start_loc, end_loc + MATCH_MAX_BITS);
+      }
+      if ( arraysEqual(text1, text2) ) {
+        // Perfect match, just shove the replacement text in.
+        text = text.slice(0, start_loc).concat(
+            diff_text2(patches[x].diffs), text.slice(start_loc + text1.length) );
+      } else {
+        // Imperfect match.  Run a diff to get a framework of equivalent
+        // indices.
+        var diffs = diff_main(text1, text2);
+        if (text1.length > MATCH_MAX_BITS &&
+            diff_levenshtein(diffs) / text1.length > deleteThreshold) {
+          // The end points match, but the content is unacceptably bad.
+          results[x] = false;
+        } else {
+          diff_cleanupSemanticLossless(diffs);
+          var index1 = 0;
+          var index2;
+          for (var y = 0; y < patches[x].diffs.length; y++) {
+            var mod = patches[x].diffs[y];
+            if (mod[0] !== DIFF_EQUAL) {
+              index2 = diff_xIndex(diffs, index1);
+            }
+            if (mod[0] === DIFF_INSERT) {  // Insertion
+              text = text.slice(0, start_loc + index2).concat(
+                  mod[1], text.slice(start_loc + index2) );
+            } else if (mod[0] === DIFF_DELETE) {  // Deletion
+              text = text.slice(0, start_loc + index2).concat(
+                  text.slice(start_loc +
+                             diff_xIndex(diffs, index1 + mod[1].length)) );
+            }
+            if (mod[0] !== DIFF_DELETE) {
+              index1 += mod[1].length;
+            }
+          }
+        }
+      }
+    }
+  }
+  // Strip the padding off.
+  text = text.slice(nullPadding.length, text.length - nullPadding.length);
+  return [symbolsArrayToString(text), results];
+};
+
+
+/**
+ * Add some padding on text start and end so that edges can match something.
+ * Intended to be called only from within patch_apply.
+ * @param {Array.<Object>} patches Array of patches. Diffs contain arrays of
+ *     symbols.
+ * @return {Array.<string>} The padding symbols added to each side.
+ * @private
+ */
+function patch_addPadding_(patches) {
+  var paddingLength = PATCH_MARGIN;
+  var nullPadding = [];
+  for (var x = 1; x <= paddingLength; x++) {
+    nullPadding.push(String.fromCharCode(x));
+  }
+
+  // Bump all the patches forward.
+  for (var x = 0; x < patches.length; x++) {
+    patches[x].start1 += paddingLength;
+    patches[x].start2 += paddingLength;
+  }
+
+  // Add some padding on start of first diff.
+  var patch = patches[0];
+  var diffs = patch.diffs;
+  if (diffs.length == 0 || diffs[0][0] != DIFF_EQUAL) {
+    // Add nullPadding equality.
+    diffs.unshift([DIFF_EQUAL, nullPadding]);
+    patch.start1 -= paddingLength;  // Should be 0.
+    patch.start2 -= paddingLength;  // Should be 0.
+    patch.length1 += paddingLength;
+    patch.length2 += paddingLength;
+  } else if (paddingLength > diffs[0][1].length) {
+    // Grow first equality.
+    var extraLength = paddingLength - diffs[0][1].length;
+    diffs[0][1] = nullPadding.slice(diffs[0][1].length).concat( diffs[0][1] );
+    patch.start1 -= extraLength;
+    patch.start2 -= extraLength;
+    patch.length1 += extraLength;
+    patch.length2 += extraLength;
+  }
+
+  // Add some padding on end of last diff.
+  patch = patches[patches.length - 1];
+  diffs = patch.diffs;
+  if (diffs.length == 0 || diffs[diffs.length - 1][0] != DIFF_EQUAL) {
+    // Add nullPadding equality.
+    diffs.push([DIFF_EQUAL, nullPadding]);
+    patch.length1 += paddingLength;
+    patch.length2 += paddingLength;
+  } else if (paddingLength > diffs[diffs.length - 1][1].length) {
+    // Grow last equality.
+    var extraLength = paddingLength - diffs[diffs.length - 1][1].length;
+    diffs[diffs.length - 1][1] = diffs[diffs.length - 1][1].concat(
+        nullPadding.slice(0, extraLength) );
+    patch.length1 += extraLength;
+    patch.length2 += extraLength;
+  }
+
+  return nullPadding;
+};
+
+
+/**
+ * Look through the patches and break up any which are longer than the maximum
+ * limit of the match algorithm.
+ * Intended to be called only from within patch_apply.
+ * @param {Array.<Object>} patches Array of patches. Diffs contain arrays of
+ *     symbols.
+ * @private
+ */
+function patch_splitMax_(patches) {
+  var patch_size = MATCH_MAX_BITS;
+  for (var x = 0; x < patches.length; x++) {
+    if (patches[x].length1 <= patch_size) {
+      continue;
+    }
+    var bigpatch = patches[x];
+    // Remove the big old patch.
+    patches.splice(x--, 1);
+    var start1 = bigpatch.start1;
+    var start2 = bigpatch.start2;
+    var precontext = [];
+    while (bigpatch.diffs.length !== 0) {
+      // Create one of several smaller patches.
+      var patch = patch_obj_();
+      var empty = true;
+      patch.start1 = start1 - precontext.length;
+      patch.start2 = start2 - precontext.length;
+      if (precontext.length) {
+        patch.length1 = patch.length2 = precontext.length;
+        patch.diffs.push([DIFF_EQUAL, precontext]);
+      }
+      while (bigpatch.diffs.length !== 0 &&
+             patch.length1 < patch_size - PATCH_MARGIN) {
+        var diff_type = bigpatch.diffs[0][0];
+        var diff_text = bigpatch.diffs[0][1];
+        if (diff_type === DIFF_INSERT) {
+          // Insertions are harmless.
+          patch.length2 += diff_text.length;
+          start2 += diff_text.length;
+          patch.diffs.push(bigpatch.diffs.shift());
+          empty = false;
+        } else if (diff_type === DIFF_DELETE && patch.diffs.length == 1 &&
+                   patch.diffs[0][0] == DIFF_EQUAL &&
+                   diff_text.length > 2 * patch_size) {
+          // This is a large deletion.  Let it pass in one chunk.
+          patch.length1 += diff_text.length;
+          start1 += diff_text.length;
+          empty = false;
+          patch.diffs.push([diff_type, diff_text]);
+          bigpatch.diffs.shift();
+        } else {
+          // Deletion or equality.  Only take as much as we can stomach.
+          diff_text = diff_text.slice(0,
+              patch_size - patch.length1 - PATCH_MARGIN);
+          patch.length1 += diff_text.length;
+          start1 += diff_text.length;
+          if (diff_type === DIFF_EQUAL) {
+            patch.length2 += diff_text.length;
+            start2 += diff_text.length;
+          } else {
+            empty = false;
+          }
+          patch.diffs.push([diff_type, diff_text]);
+          if (diff_text.length == bigpatch.diffs[0][1].length) {
+            bigpatch.diffs.shift();
+          } else {
+            bigpatch.diffs[0][1] = bigpatch.diffs[0][1].slice(diff_text.length);
+          }
+        }
+      }
+      // Compute the head context for the next patch.
+      precontext = diff_text2(patch.diffs);
+      precontext = precontext.slice(Math.max(0,
+                                             precontext.length - PATCH_MARGIN));
+      // Append the end context for this patch.
+      var postcontext = diff_text1(bigpatch.diffs).slice(0, PATCH_MARGIN);
+      if (postcontext.length) {
+        patch.length1 += postcontext.length;
+        patch.length2 += postcontext.length;
+        if (patch.diffs.length !== 0 &&
+            patch.diffs[patch.diffs.length - 1][0] === DIFF_EQUAL) {
+          patch.diffs[patch.diffs.length - 1][1] =
+              patch.diffs[patch.diffs.length - 1][1].concat( postcontext );
+        } else {
+          patch.diffs.push([DIFF_EQUAL, postcontext]);
+        }
+      }
+      if (!empty) {
+        patches.splice(++x, 0, patch);
+      }
+    }
+  }
+};
+
+
+/**
+ * Emulate GNU diff's format.
+ * Header: @@ -382,8 +481,9 @@
+ * Indices are printed as 1-based, not 0-based.
+ * @param {Object} patch The patch to format. Diffs contain strings.
+ * @return {string} The GNU diff string.
+ * @private
+ */
+function patch_toString_(patch) {
+  var coords1, coords2;
+  if (patch.length1 === 0) {
+    coords1 = patch.start1 + ',0';
+  } else if (patch.length1 == 1) {
+    coords1 = patch.start1 + 1;
+  } else {
+    coords1 = (patch.start1 + 1) + ',' + patch.length1;
+  }
+  if (patch.length2 === 0) {
+    coords2 = patch.start2 + ',0';
+  } else if (patch.length2 == 1) {
+    coords2 = patch.start2 + 1;
+  } else {
+    coords2 = (patch.start2 + 1) + ',' + patch.length2;
+  }
+  var text = ['@@ -' + coords1 + ' +' + coords2 + ' @@\n'];
+  var op;
+  // Escape the body of the patch with %xx notation.
+  for (var x = 0; x < patch.diffs.length; x++) {
+    switch (patch.diffs[x][0]) {
+      case DIFF_INSERT:
+        op = '+';
+        break;
+      case DIFF_DELETE:
+        op = '-';
+        break;
+      case DIFF_EQUAL:
+        op = ' ';
+        break;
+    }
+    text[x + 1] = op + encodeURIText(patch.diffs[x][1]) + '\n';
+  }
+  return text.join('').replace(/%20/g, ' ');
+};
+
+
+/**
+ * Take a list of patches and return a textual representation.
+ * @param {Array.<Object>} patches Array of patches.
+ * @return {string} Text representation of patches.
+ */
+function patch_toText(patches) {
+  var text = [];
+  for (var x = 0; x < patches.length; x++) {
+    text[x] = patch_toString_(patches[x]);
+  }
+  return text.join('');
+};
+
+
+/**
+ * Parse a textual representation of patches and return a list of patch
+ * objects.
+ * @param {string} textline Text representation of patches.
+ * @return {Array.<Object>} Array of patches.
+ * @throws {!Error} If invalid input.
+ */
+function patch_fromText(textline) {
+  var patches = [];
+  if (!textline) {
+    return patches;
+  }
+  var text = textline.split('\n');
+  var textPointer = 0;
+  var patchHeader = /^@@ -(\d+),?(\d*) \+(\d+),?(\d*) @@$/;
+  while (textPointer < text.length) {
+    var m = text[textPointer].match(patchHeader);
+    if (!m) {
+      throw new Error('Invalid patch string: ' + text[textPointer]);
+    }
+    var patch = patch_obj_();
+    patches.push(patch);
+    patch.start1 = parseInt(m[1], 10);
+    if (m[2] === '') {
+      patch.start1--;
+      patch.length1 = 1;
+    } else if (m[2] == '0') {
+      patch.length1 = 0;
+    } else {
+      patch.start1--;
+      patch.length1 = parseInt(m[2], 10);
+    }
+
+    patch.start2 = parseInt(m[3], 10);
+    if (m[4] === '') {
+      patch.start2--;
+      patch.length2 = 1;
+    } else if (m[4] == '0') {
+      patch.length2 = 0;
+    } else {
+      patch.start2--;
+      patch.length2 = parseInt(m[4], 10);
+    }
+    textPointer++;
+
+    while (textPointer < text.length) {
+      var sign = text[textPointer].charAt(0);
+      var line;
+      try {
+        line = decodeURIText(text[textPointer].substring(1));
+      } catch (ex) {
+        // Malformed URI sequence.
+        throw new Error('Illegal escape in patch_fromText: ' +
+                        text[textPointer]);
+      }
+      if (sign == '-') {
+        // Deletion.
+        patch.diffs.push([DIFF_DELETE, line]);
+      } else if (sign == '+') {
+        // Insertion.
+        patch.diffs.push([DIFF_INSERT, line]);
+      } else if (sign == ' ') {
+        // Minor equality.
+        patch.diffs.push([DIFF_EQUAL, line]);
+      } else if (sign == '@') {
+        // Start of next patch.
+        break;
+      } else if (sign === '') {
+        // Blank line?  Whatever.
+      } else {
+        // WTF?
+        throw new Error('Invalid patch mode "' + sign + '" in: ' + line);
+      }
+      textPointer++;
+    }
+  }
+  return patches;
+};
+
+
+//  JSON FUNCTIONS
+
+
+/**
+ * What diff.json returns: an RFC 6902 JSON 'patch', or a nested 'delta'
+ * which keeps the removed values and diffs changed strings.
+ */
+var JSON_FORMATS = ['patch', 'delta'];
+
+
+/**
+ * Entry point for finding the difference between two JSON values.
+ * Objects are compared key by key, arrays are diffed element by element
+ * and elements which are the same are compared recursively.
+ * @param {*} a Old JSON value.
+ * @param {*} b New JSON value.
+ * @param {Object=} options Optional settings:
+ *     format {string} See JSON_FORMATS, defaults to 'patch'.
+ *     objectHash {function(Object): *} Identity of objects in arrays.
+ *         Objects with the same identity are the same element, even when
+ *         their contents changed. By default elements have to be deeply
+ *         equal to be the same.
+ *     text {Object} Options with which changed strings are diffed in the
+ *         delta format, see diff_start.
+ * @return {Array|Object|undefined} Array of JSON Patch operations, or the
+ *     delta (undefined when the values are equal).
+ */
+function json_start(a, b, options) {
+  options = options || {};
+  var format = options.format || 'patch';
+  if (JSON_FORMATS.indexOf(format) === -1) {
+    throw new Error('Unknown format: ' + format);
+  }
+  var objectHash = options.objectHash;
+  if (objectHash && typeof objectHash !== 'function') {
+    throw new TypeError('options.objectHash must be a function');
+  }
+  var context = diff_context_({});
+  context.equals = function(x, y) {
+    if (objectHash && json_kind_(x) === 'object' &&
+        json_kind_(y) === 'object') {
+      return objectHash(x) === objectHash(y);
+    }
+    return isEqual(x, y);
+  };
+
+  if (format === 'delta') {
+    return json_delta_(a, b, context, options.text);
+  }
+  var patch = [];
+  json_patch_(a, b, '', context, patch);
+  return patch;
+}
+
+
+/**
+ * Append the JSON Patch operations turning one value into another.
+ * @param {*} a Old JSON value.
+ * @param {*} b New JSON value.
+ * @param {string} path JSON Pointer to the values.
+ * @param {Object} context Context with the element comparison.
+ * @param {Array} patch Array of operations to append to.
+ * @private
+ */
+function json_patch_(a, b, path, context, patch) {
+  if (isEqual(a, b)) {
+    return;
+  }
+  var kind = json_kind_(a);
+  if (kind !== json_kind_(b) || (kind !== 'object' && kind !== 'array')) {
+    patch.push({op: 'replace', path: path, value: b});
+    return;
+  }
+
+  var key;
+  if (kind === 'object') {
+    for (key in a) {
+      if (hasOwn(a, key) && !hasOwn(b, key)) {
+        patch.push({op: 'remove', path: path + '/' + json_escapeKey_(key)});
+      }
+    }
+    for (key in b) {
+      if (!hasOwn(b, key)) {
+        continue;
+      }
+      var keyPath = path + '/' + json_escapeKey_(key);
+      if (hasOwn(a, key)) {
+        json_patch_(a[key], b[key], keyPath, context, patch);
+      } else {
+        patch.push({op: 'add', path: keyPath, value: b[key]});
+      }
+    }
+    return;
+  }
+
+  // Elements before index2 are already those of b, so that is where the
+  // next operation applies.
+  var diffs = diff_main(a.slice(), b.slice(), context);
+  var index1 = 0;
+  var index2 = 0;
+  for (var x = 0; x < diffs.length; x++) {
+    var length = diffs[x][1].length;
+    for (var y = 0; y < length; y++) {
+      switch (diffs[x][0]) {
+        case DIFF_DELETE:
+          patch.push({op: 'remove', path: path + '/' + index2});
+          index1++;
+          break;
+        case DIFF_INSERT:
+          patch.push({op: 'add', path: path + '/' + index2, value: b[index2]});
+          index2++;
+          break;
+        case DIFF_EQUAL:
+          json_patch_(a[index1], b[index2], path + '/' + index2, context,
+                      patch);
+          index1++;
+          index2++;
+          break;
+      }
+    }
+  }
+}
+
+
+/**
+ * Compute the nested delta turning one value into another.  Deltas are
+ * {op: 'add', value}, {op: 'remove', value}, {op: 'replace', oldValue,
+ * value}, {op: 'text', diffs} for changed strings, {op: 'object', changes}
+ * with the deltas of changed keys, and {op: 'array', diffs, changes} with
+ * the diff of the elements and the deltas of changed elements by index in
+ * the new array.
+ * @param {*} a Old JSON value.
+ * @param {*} b New JSON value.
+ * @param {Object} context Context with the element comparison.
+ * @param {Object=} textOptions Options to diff strings with.
+ * @return {Object|undefined} The delta, or undefined if nothing changed.
+ * @private
+ */
+function json_delta_(a, b, context, textOptions) {
+  if (isEqual(a, b)) {
+    return undefined;
+  }
+  var kind = json_kind_(a);
+  if (kind !== json_kind_(b) || kind === 'value') {
+    return {op: 'replace', oldValue: a, value: b};
+  }
+  if (kind === 'string') {
+    return {op: 'text', diffs: diff_start(a, b, textOptions)};
+  }
+
+  var changes = {};
+  var delta;
+  if (kind === 'object') {
+    var key;
+    for (key in a) {
+      if (hasOwn(a, key) && !hasOwn(b, key)) {
+        changes[key] = {op: 'remove', value: a[key]};
+      }
+    }
+    for (key in b) {
+      if (!hasOwn(b, key)) {
+        continue;
+      }
+      if (!hasOwn(a, key)) {
+        changes[key] = {op: 'add', value: b[key]};
+      } else {
+        delta = json_delta_(a[key], b[key], context, textOptions);
+        if (delta) {
+          changes[key] = delta;
+        }
+      }
+    }
+    return {op: 'object', changes: changes};
+  }
+
+  var diffs = diff_main(a.slice(), b.slice(), context);
+  var index1 = 0;
+  var index2 = 0;
+  for (var x = 0; x < diffs.length; x++) {
+    var length = diffs[x][1].length;
+    if (diffs[x][0] === DIFF_DELETE) {
+      diffs[x] = [DIFF_DELETE, a.slice(index1, index1 + length)];
+      index1 += length;
+    } else if (diffs[x][0] === DIFF_INSERT) {
+      diffs[x] = [DIFF_INSERT, b.slice(index2, index2 + length)];
+      index2 += length;
+    } else {
+      diffs[x] = [DIFF_EQUAL, b.slice(index2, index2 + length)];
+      for (var y = 0; y < length; y++) {
+        delta = json_delta_(a[index1], b[index2], context, textOptions);
+        if (delta) {
+          changes[index2] = delta;
+        }
+        index1++;
+        index2++;
+      }
+    }
+  }
+  return {op: 'array', diffs: diffs, changes: changes};
+}
+
+
+/**
+ * Classify a JSON value by how it is diffed.
+ * @param {*} value JSON value.
+ * @return {string} 'array', 'object', 'string' or 'value'.
+ * @private
+ */
+function json_kind_(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value !== null && typeof value === 'object') {
+    return 'object';
+  }
+  return typeof value === 'string' ? 'string' : 'value';
+}
+
+
+/**
+ * Escape an object key as a JSON Pointer (RFC 6901) reference token.
+ * @param {string} key Object key.
+ * @return {string} Escaped key.
+ * @private
+ */
+function json_escapeKey_(key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+
+//  MERGE FUNCTIONS
+
+
+/**
+ * Entry point for a three-way merge.  Both texts are diffed against their
+ * common base; changes to different parts of the base are all applied,
+ * changes to the same part are conflicts unless they are identical.
+ * @param {string} base Common ancestor of both texts.
+ * @param {string} ours One changed version of base.
+ * @param {string} theirs Other changed version of base.
+ * @param {Object=} options Optional settings:
+ *     mode {string} What changes are aligned by, 'char', 'word' or 'line'
+ *         (default), see diff_start.
+ *     granularity {string} See diff_start.
+ *     tokenize {function(string): Array.<string>} See diff_start.
+ *     markers {boolean|Object} Write conflicts into the merged text
+ *         between git-style markers. Can give the labels of both sides as
+ *         {ours, theirs}, defaulting to 'ours' and 'theirs'.
+ * @return {{chunks: Array.<Object>, conflicts: Array.<Object>,
+ *     text: ?string}} The merge, as chunks which are either
+ *     {op: 'ok', text} or {op: 'conflict', base, ours, theirs}; the
+ *     conflict chunks; and the merged text, which is null if there are
+ *     conflicts and no markers were asked for.
+ */
+function merge_start(base, ours, theirs, options) {
+  if (typeof base !== 'string' || typeof ours !== 'string' ||
+      typeof theirs !== 'string') {
+    throw new TypeError('merge3 requires a base, ours and theirs string');
+  }
+  options = options || {};
+  var diffOptions = {
+    mode: options.mode || (options.tokenize ? 'word' : 'line'),
+    granularity: options.granularity,
+    tokenize: options.tokenize,
+    output: 'symbols'
+  };
+  var oursDiffs = diff_start(base, ours, diffOptions);
+  var theirsDiffs = diff_start(base, theirs, diffOptions);
+  var baseSymbols = diff_text1(oursDiffs);
+
+  // Order the changes of both sides by where they are in the base, ours
+  // first when they start at the same place.
+  var hunks = merge_hunks_(oursDiffs, 0).concat(merge_hunks_(theirsDiffs, 1));
+  hunks.sort(function(a, b) {
+    return (a.start - b.start) || (a.side - b.side);
+  });
+
+  var chunks = [];
+  var conflicts = [];
+  var pending = [];  // Symbols of the current ok chunk.
+  var pointer = 0;
+  var x = 0;
+  while (x < hunks.length) {
+    // Gather all changes touching the same part of the base.  An insertion
+    // conflicts with changes starting at the same place.
+    var groupStart = hunks[x].start;
+    var groupEnd = hunks[x].end;
+    var oursHunks = [];
+    var theirsHunks = [];
+    while (x < hunks.length &&
+           (hunks[x].start < groupEnd || hunks[x].start === groupStart)) {
+      groupEnd = Math.max(groupEnd, hunks[x].end);
+      (hunks[x].side === 0 ? oursHunks : theirsHunks).push(hunks[x]);
+      x++;
+    }
+
+    pending = pending.concat(baseSymbols.slice(pointer, groupStart));
+    var oursSymbols = merge_applyHunks_(baseSymbols, groupStart, groupEnd,
+                                        oursHunks);
+    var theirsSymbols = merge_applyHunks_(baseSymbols, groupStart, groupEnd,
+                                          theirsHunks);
+    if (!theirsHunks.length || arraysEqual(oursSymbols, theirsSymbols)) {
+      pending = pending.concat(oursSymbols);
+    } else if (!oursHunks.length) {
+      pending = pending.concat(theirsSymbols);
+    } else {
+      if (pending.length) {
+        chunks.push({op: 'ok', text: symbolsArrayToString(pending)});
+        pending = [];
+      }
+      var conflict = {
+        op: 'conflict',
+        base: symbolsArrayToString(baseSymbols.slice(groupStart, groupEnd)),
+        ours: symbolsArrayToString(oursSymbols),
+        theirs: symbolsArrayToString(theirsSymbols)
+      };
+      chunks.push(conflict);
+      conflicts.push(conflict);
+    }
+    pointer = groupEnd;
+  }
+  pending = pending.concat(baseSymbols.slice(pointer));
+  if (pending.length) {
+    chunks.push({op: 'ok', text: symbolsArrayToString(pending)});
+  }
+
+  var text = null;
+  if (!conflicts.length || options.markers) {
+    text = merge_toText_(chunks, options.markers);
+  }
+  return {chunks: chunks, conflicts: conflicts, text: text};
+}
+
+
+/**
+ * Collect the changes a diff makes to its source text.  Each change
+ * replaces the source symbols from start to end; insertions have an empty
+ * range.
+ * @param {Array} diffs Array of diff tuples. Diffs contain arrays of symbols.
+ * @param {number} side Which text the diff leads to, 0 or 1.
+ * @return {Array.<{side: number, start: number, end: number,
+ *     symbols: Array}>} Array of changes in source text order.
+ * @private
+ */
+function merge_hunks_(diffs, side) {
+  var hunks = [];
+  var hunk = null;
+  var pointer = 0;
+  for (var x = 0; x < diffs.length; x++) {
+    if (diffs[x][0] === DIFF_EQUAL) {
+      pointer += diffs[x][1].length;
+      hunk = null;
+      continue;
+    }
+    if (!hunk) {
+      hunk = {side: side, start: pointer, end: pointer, symbols: []};
+      hunks.push(hunk);
+    }
+    if (diffs[x][0] === DIFF_DELETE) {
+      pointer += diffs[x][1].length;
+      hunk.end = pointer;
+    } else {
+      hunk.symbols = hunk.symbols.concat(diffs[x][1]);
+    }
+  }
+  return hunks;
+}
+
+
+/**
+ * Apply the changes of one side to a part of the base.
+ * @param {Array} base Symbols of the base.
+ * @param {number} start Start of the part in the base.
+ * @param {number} end End of the part in the base.
+ * @param {Array.<Object>} hunks Changes within the part, in order.
+ * @return {Array} Symbols of the changed part.
+ * @private
+ */
+function merge_applyHunks_(base, start, end, hunks) {
+  var symbols = [];
+  var pointer = start;
+  for (var x = 0; x < hunks.length; x++) {
+    symbols = symbols.concat(base.slice(pointer, hunks[x].start),
+                             hunks[x].symbols);
+    pointer = hunks[x].end;
+  }
+  return symbols.concat(base.slice(pointer, end));
+}
+
+
+/**
+ * Join merge chunks into text, writing conflicts between markers.
+ * @param {Array.<Object>} chunks Chunks of the merge.
+ * @param {boolean|Object} markers Labels of both sides as {ours, theirs}.
+ * @return {string} Merged text.
+ * @private
+ */
+function merge_toText_(chunks, markers) {
+  var oursLabel = (markers && markers.ours) || 'ours';
+  var theirsLabel = (markers && markers.theirs) || 'theirs';
+  var text = [];
+  for (var x = 0; x < chunks.length; x++) {
+    var chunk = chunks[x];
+    if (chunk.op === 'ok') {
+      text.push(chunk.text);
+      continue;
+    }
+    // Markers go on lines of their own.
+    if (text.length) {
+      text[text.length - 1] = merge_line_(text[text.length - 1]);
+    }
+    text.push('<<<<<<< ' + oursLabel + '\n', merge_line_(chunk.ours),
+              '=======\n', merge_line_(chunk.theirs),
+              '>>>>>>> ' + theirsLabel + '\n');
+  }
+  return text.join('');
+}
+
+
+/**
+ * Terminate non-empty text with a line break, if it isn't already.
+ * @param {string} text Text to terminate.
+ * @return {string} Terminated text.
+ * @private
+ */
+function merge_line_(text) {
+  return !text || text.charAt(text.length - 1) === '\n' ? text : text + '\n';
+}
+
+
+//  RENDER FUNCTIONS
+
+
+/**
+ * Default number of unchanged lines shown around changes in unified diffs.
+ */
+var RENDER_CONTEXT = 3;
+
+/**
+ * ANSI escape codes used by the terminal renderers.
+ */
+var ANSI_RED = '\x1b[31m';
+var ANSI_GREEN = '\x1b[32m';
+var ANSI_CYAN = '\x1b[36m';
+var ANSI_RESET = '\x1b[0m';
+
+
+/**
+ * Render a diff as a unified diff of the changed lines.
+ * @param {Array} diffs Array of diff tuples. Diffs contain strings, split
+ *     at any granularity.
+ * @param {Object=} options Optional settings:
+ *     context {number} Unchanged lines around changes, defaults to 3.
+ *     from {string} Name of the old text for the '---' header line.
+ *     to {string} Name of the new text for the '+++' header line.
+ *     color {boolean} Color the lines with ANSI escape codes.
+ * @return {string} The unified diff, empty if nothing changed.
+ */
+function render_unified(diffs, options) {
+  options = options || {};
+  var context = options.context !== undefined ?
+      options.context : RENDER_CONTEXT;
+  if (typeof context !== 'number' || !(context >= 0)) {
+    throw new TypeError('options.context must be a non-negative number');
+  }
+  var writeLine = function(code, line) {
+    return (options.color && code ? code + line + ANSI_RESET : line) + '\n';
+  };
+  var lines = render_lines_(diffs);
+  var text = [];
+
+  var x = 0;
+  var line1 = 0;  // Lines of the old text before lines[x].
+  var line2 = 0;  // Lines of the new text before lines[x].
+  while (x < lines.length) {
+    if (lines[x][0] === DIFF_EQUAL) {
+      line1++;
+      line2++;
+      x++;
+      continue;
+    }
+    // Extend the hunk over changes less than two contexts apart.
+    var start = Math.max(0, x - context);
+    var end = x;
+    var equals = 0;
+    while (end < lines.length && equals <= 2 * context) {
+      equals = lines[end][0] === DIFF_EQUAL ? equals + 1 : 0;
+      end++;
+    }
+    end -= Math.max(0, equals - context);
+
+    var start1 = line1 - (x - start);
+    var start2 = line2 - (x - start);
+    var length1 = 0;
+    var length2 = 0;
+    var body = [];
+    for (var y = start; y < end; y++) {
+      var op = lines[y][0];
+      var line = lines[y][1];
+      var sign = op === DIFF_INSERT ? '+' : op === DIFF_DELETE ? '-' : ' ';
+      if (op !== DIFF_INSERT) {
+        length1++;
+      }
+      if (op !== DIFF_DELETE) {
+        length2++;
+      }
+      var newline = line.charAt(line.length - 1) === '\n';
+      body.push(writeLine(op === DIFF_INSERT ? ANSI_GREEN :
+                          op === DIFF_DELETE ? ANSI_RED : '',
+                          sign + (newline ? line.slice(0, -1) : line)));
+      if (!newline) {
+        body.push('\\ No newline at end of file\n');
+      }
+    }
+    text.push(writeLine(ANSI_CYAN, '@@ -' + render_range_(start1, length1) +
+                        ' +' + render_range_(start2, length2) + ' @@'));
+    text = text.concat(body);
+    line1 = start1 + length1;
+    line2 = start2 + length2;
+    x = end;
+  }
+  if (text.length && (options.from !== undefined ||
+                      options.to !== undefined)) {
+    text.unshift('--- ' + (options.from || '') + '\n',
+                 '+++ ' + (options.to || '') + '\n');
+  }
+  return text.join('');
+}
+
+
+/**
+ * Split a diff into whole lines.  Lines which are not entirely equal are
+ * deleted and inserted, deletions first.  Equal lines are given as they
+ * are in text1, also when they differ in text2 in a way the diff ignored.
+ * @param {Array} diffs Array of diff tuples. Diffs contain strings.
+ * @return {Array} Array of diff tuples. Diffs contain single lines.
+ * @private
+ */
+function render_lines_(diffs) {
+  // Shift edits to line boundaries where possible, so that fewer lines are
+  // changed.  Equalities which differ in text2 are left where they are.
+  var symbolDiffs = [];
+  var run = [];
+  var flushRun = function() {
+    diff_cleanupSemanticLossless(run);
+    diff_convertToStrings(run);
+    symbolDiffs = symbolDiffs.concat(run);
+    run = [];
+  };
+  for (var x = 0; x < diffs.length; x++) {
+    if (diffs[x][0] === DIFF_EQUAL && diffs[x][2]) {
+      flushRun();
+      symbolDiffs.push(diffs[x]);
     } else {
-      return null;
+      run.push([diff_sideOp_(diffs[x]), stringToSymbolsArray(diffs[x][1])]);
     }
   }
+  flushRun();
+  diffs = symbolDiffs;
 
-  // First check if the second quarter is the seed for a half-match.
-  var hm1 = diff_halfMatchI_(longtext, shorttext,
-                             Math.ceil(longtext.length / 4));
-  // Check again based on the third quarter.
-  var hm2 = diff_halfMatchI_(longtext, shorttext,
-                             Math.ceil(longtext.length / 2));
-  var hm;
-  if (!hm1 && !hm2) {
-    return null;
-  } else if (!hm2) {
-    hm = hm1;
-  } else if (!hm1) {
-    hm = hm2;
-  } else {
-    // Both matched.  Select the longest.
-    hm = hm1[4].length > hm2[4].length ? hm1 : hm2;
+  var lines = [];
+  var deletions = [];
+  var insertions = [];
+  var line1 = '';
+  var line2 = '';
+  var changed = false;
+  var flush = function() {
+    if (changed) {
+      if (line1) {
+        deletions.push([DIFF_DELETE, line1]);
+      }
+      if (line2) {
+        insertions.push([DIFF_INSERT, line2]);
+      }
+    } else {
+      lines = lines.concat(deletions, insertions);
+      deletions = [];
+      insertions = [];
+      if (line1) {
+        lines.push([DIFF_EQUAL, line1]);
+      }
+    }
+    line1 = '';
+    line2 = '';
+    changed = false;
+  };
+  var add = function(op, text) {
+    var pieces = text.match(/[^\n]*\n|[^\n]+/g) || [];
+    for (var y = 0; y < pieces.length; y++) {
+      var piece = pieces[y];
+      var newline = piece.charAt(piece.length - 1) === '\n';
+      if (op === DIFF_EQUAL) {
+        line1 += piece;
+        line2 += piece;
+        if (newline) {
+          flush();
+        }
+      } else if (op === DIFF_DELETE) {
+        line1 += piece;
+        changed = true;
+        if (newline) {
+          deletions.push([DIFF_DELETE, line1]);
+          line1 = '';
+          // Both texts at the start of a line again.
+          changed = line2 !== '';
+        }
+      } else {
+        line2 += piece;
+        changed = true;
+        if (newline) {
+          insertions.push([DIFF_INSERT, line2]);
+          line2 = '';
+          changed = line1 !== '';
+        }
+      }
+    }
+  };
+  for (x = 0; x < diffs.length; x++) {
+    if (!(diffs[x][0] === DIFF_EQUAL && diffs[x][2])) {
+      add(diffs[x][0], diffs[x][1]);
+      continue;
+    }
+    // Pair up the lines of both versions, if they have as many.
+    var parts1 = diffs[x][1].split('\n');
+    var parts2 = diffs[x][2].text2.split('\n');
+    if (parts1.length !== parts2.length) {
+      add(DIFF_DELETE, diffs[x][1]);
+      add(DIFF_INSERT, diffs[x][2].text2);
+      continue;
+    }
+    for (var y = 0; y < parts1.length; y++) {
+      var end = y < parts1.length - 1 ? '\n' : '';
+      line1 += parts1[y] + end;
+      line2 += parts2[y] + end;
+      if (end) {
+        flush();
+      }
+    }
   }
+  flush();
+  return lines.concat(deletions, insertions);
+}
 
-  // A half-match was found, sort out the return data.
-  var text1_a, text1_b, text2_a, text2_b;
-  if (text1.length > text2.length) {
-    text1_a = hm[0];
-    text1_b = hm[1];
-    text2_a = hm[2];
-    text2_b = hm[3];
-  } else {
-    text2_a = hm[0];
-    text2_b = hm[1];
-    text1_a = hm[2];
-    text1_b = hm[3];
+
+/**
+ * Format the line range of one text in a unified diff hunk header.
+ * @param {number} start Lines before the range.
+ * @param {number} length Lines in the range.
+ * @return {string} Range like '3,2', '3' for single lines or '2,0' for
+ *     empty ranges (which name the line before).
+ * @private
+ */
+function render_range_(start, length) {
+  if (length === 0) {
+    return start + ',0';
   }
-  var mid_common = hm[4];
-  return [text1_a, text1_b, text2_a, text2_b, mid_common];
-};
+  return length === 1 ? String(start + 1) : (start + 1) + ',' + length;
+}
 
 
 /**
- * Reorder and merge like edit sections.  Merge equalities.
- * Any edit section can move as long as it doesn't cross an equality.
- * @param {Array} diffs Array of diff tuples. Diffs contain arrays of symbols.
+ * Render a diff as HTML, with insertions in <ins> and deletions in <del>
+ * elements.  Line breaks are shown as pilcrows.
+ * @param {Array} diffs Array of diff tuples. Diffs contain strings.
+ * @return {string} HTML representation.
  */
-function diff_cleanupMerge(diffs) {
-  diffs.push([DIFF_EQUAL, [] ]);  // Add a dummy entry at the end.
-  var pointer = 0;
-  var count_delete = 0;
-  var count_insert = 0;
-  var text_delete = [];
-  var text_insert = [];
-  var commonlength;
-  while (pointer < diffs.length) {
-    switch (diffs[pointer][0]) {
+function render_html(diffs) {
+  var html = [];
+  for (var x = 0; x < diffs.length; x++) {
+    var text = diffs[x][1].replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+        .replace(/\n/g, '&para;<br>');
+    switch (diff_sideOp_(diffs[x])) {
       case DIFF_INSERT:
-        count_insert++;
-        text_insert = text_insert.concat( diffs[pointer][1] );
-        pointer++;
+        html[x] = '<ins style="background:#e6ffe6;">' + text + '</ins>';
         break;
       case DIFF_DELETE:
-        count_delete++;
-        text_delete = text_delete.concat( diffs[pointer][1] );
-        pointer++;
+        html[x] = '<del style="background:#ffe6e6;">' + text + '</del>';
         break;
       case DIFF_EQUAL:
-        // Upon reaching an equality, check for prior redundancies.
-        if (count_delete + count_insert > 1) {
-          if (count_delete !== 0 && count_insert !== 0) {
-            // Factor out any common prefixies.
-            commonlength = diff_commonPrefix(text_insert, text_delete);
-            if (commonlength !== 0) {
-              if ((pointer - count_delete - count_insert) > 0 &&
-                  diffs[pointer - count_delete - count_insert - 1][0] ==
-                  DIFF_EQUAL) {
-                diffs[pointer - count_delete - count_insert - 1][1] =
-                    diffs[pointer - count_delete - count_insert - 1][1].concat(
-                    text_insert.slice(0, commonlength) );
-              } else {
-                diffs.splice(0, 0, [DIFF_EQUAL,
-                                    text_insert.slice(0, commonlength)]);
-                pointer++;
-              }
-              text_insert = text_insert.slice(commonlength);
-              text_delete = text_delete.slice(commonlength);
-            }
-            // Factor out any common suffixies.
-            commonlength = diff_commonSuffix(text_insert, text_delete);
-            if (commonlength !== 0) {
-              diffs[pointer][1] = text_insert.slice(text_insert.length -
-                  commonlength).concat( diffs[pointer][1] );
-              text_insert = text_insert.slice(0, text_insert.length -
-                  commonlength);
-              text_delete = text_delete.slice(0, text_delete.length -
-                  commonlength);
-            }
+        html[x] = '<span>' + text + '</span>';
+        break;
+    }
+  }
+  return html.join('');
+}
+
+
+/**
+ * Render a diff for a terminal, with insertions in green and deletions in
+ * red.
+ * @param {Array} diffs Array of diff tuples. Diffs contain strings.
+ * @return {string} Text with ANSI escape codes.
+ */
+function render_ansi(diffs) {
+  var text = [];
+  for (var x = 0; x < diffs.length; x++) {
+    switch (diff_sideOp_(diffs[x])) {
+      case DIFF_INSERT:
+        text[x] = ANSI_GREEN + diffs[x][1] + ANSI_RESET;
+        break;
+      case DIFF_DELETE:
+        text[x] = ANSI_RED + diffs[x][1] + ANSI_RESET;
+        break;
+      case DIFF_EQUAL:
+        text[x] = diffs[x][1];
+        break;
+    }
+  }
+  return text.join('');
+}
+
+
+//  STREAM FUNCTIONS
+
+
+/**
+ * Default number of lines of each input held in memory by streaming diffs.
+ */
+var STREAM_WINDOW = 10000;
+
+/**
+ * Default length (in UTF-16 code units) beyond which streaming diffs split
+ * lines, so that inputs without line breaks are read a bit at a time too.
+ */
+var STREAM_MAX_LINE = 10000;
+
+
+/**
+ * Entry point for diffing two inputs which are read a bit at a time.
+ * Inputs are diffed line by line, over windows of lines of both inputs.
+ * The diff of a window is emitted up to its last equal lines, which
+ * anchor the next window.  This bounds memory, but diffs can be less
+ * minimal than those of diff_start in line mode when changes span more
+ * than a window.  Lines longer than maxLine are split into pieces which are
+ * diffed like lines.  Destroying the returned stream stops reading and
+ * closes the inputs.
+ * @param {Object} source1 Old input, a readable stream or (async) iterable
+ *     of string or Buffer chunks; Buffers are decoded as UTF-8.
+ * @param {Object} source2 New input, like source1.
+ * @param {Object=} options Optional settings:
+ *     window {number} Lines of each input to diff at once, defaults to
+ *         10000.
+ *     maxLine {number} Longest line, in UTF-16 code units, defaults to
+ *         10000.
+ *     refine {boolean} Re-diff changed lines by symbols.
+ *     granularity {string} See diff_start.
+ * @return {stream.Readable} Object mode stream of diff tuples. Diffs
+ *     contain strings. Consecutive tuples can have the same operation.
+ */
+function diff_stream(source1, source2, options) {
+  options = options || {};
+  var windowSize = options.window !== undefined ?
+      options.window : STREAM_WINDOW;
+  if (typeof windowSize !== 'number' || !(windowSize >= 1)) {
+    throw new TypeError('options.window must be a positive number');
+  }
+  var maxLine = options.maxLine !== undefined ?
+      options.maxLine : STREAM_MAX_LINE;
+  if (typeof maxLine !== 'number' || !(maxLine >= 2)) {
+    throw new TypeError('options.maxLine must be a number of at least 2');
+  }
+  var granularity = options.granularity || 'codepoint';
+  if (GRANULARITIES.indexOf(granularity) === -1) {
+    throw new Error('Unknown granularity: ' + granularity);
+  }
+  var refine = options.refine;
+  var reader1 = stream_lineReader_(source1, maxLine);
+  var reader2 = stream_lineReader_(source2, maxLine);
+  var lines1 = [];
+  var lines2 = [];
+  var reading = false;
+
+  // Required here so that diff.js does not depend on Node modules unless
+  // streams are used.
+  var Readable = require('stream').Readable;
+  var output = new Readable({objectMode: true, read: function() {
+    if (reading) {
+      return;
+    }
+    reading = true;
+    Promise.all([reader1.fill(lines1, windowSize),
+                 reader2.fill(lines2, windowSize)]).then(function() {
+      reading = false;
+      if (output.destroyed) {
+        return;
+      }
+      var last = reader1.done && reader2.done;
+      var diffs = stream_diffWindow_(lines1, lines2, last);
+      lines1.splice(0, diff_text1(diffs).length);
+      lines2.splice(0, diff_text2(diffs).length);
+      if (refine) {
+        diff_refine_(diffs, granularity);
+      }
+      diff_convertToStrings(diffs);
+      for (var x = 0; x < diffs.length; x++) {
+        output.push(diffs[x]);
+      }
+      if (last) {
+        output.push(null);
+      }
+    }).catch(function(error) {
+      output.destroy(error);
+    });
+  }, destroy: function(error, callback) {
+    reader1.close();
+    reader2.close();
+    callback(error);
+  }});
+  return output;
+}
+
+
+/**
+ * Diff a window of lines of both inputs.  Unless it is the last window,
+ * the lines after the last equality are left out, as they may line up
+ * differently with lines which were not read yet.
+ * @param {Array.<string>} lines1 Lines of the old input.
+ * @param {Array.<string>} lines2 Lines of the new input.
+ * @param {boolean} last Whether the inputs end after these lines.
+ * @return {Array} Array of diff tuples. Diffs contain arrays of lines.
+ * @private
+ */
+function stream_diffWindow_(lines1, lines2, last) {
+  var a = diff_tokensToSymbols_(lines1, lines2);
+  var diffs = diff_main(a.symbols1, a.symbols2);
+  diff_symbolsToTokens_(diffs, a.tokenArray);
+  if (last) {
+    return diffs;
+  }
+  for (var x = diffs.length - 1; x >= 0; x--) {
+    if (diffs[x][0] === DIFF_EQUAL) {
+      return diffs.slice(0, x + 1);
+    }
+  }
+  // Nothing in common, the windows have to go anyway.
+  return diffs;
+}
+
+
+/**
+ * Read lines from a stream or iterable of chunks.
+ * @param {Object} source Readable stream or (async) iterable of string or
+ *     Buffer chunks.
+ * @param {number} maxLine Length beyond which lines are split.
+ * @return {{fill: function(Array.<string>, number): Promise, done: boolean,
+ *     close: function()}} Reader whose fill method appends lines to an
+ *     array until it has the given length or the source is exhausted, after
+ *     which done is true.  Its close method stops reading and closes the
+ *     source.
+ * @private
+ */
+function stream_lineReader_(source, maxLine) {
+  var iterator;
+  if (source && typeof Symbol !== 'undefined' && Symbol.asyncIterator &&
+      typeof source[Symbol.asyncIterator] === 'function') {
+    iterator = source[Symbol.asyncIterator]();
+  } else if (source && typeof Symbol !== 'undefined' &&
+             typeof source[Symbol.iterator] === 'function' &&
+             typeof source !== 'string') {
+    iterator = source[Symbol.iterator]();
+  } else {
+    throw new TypeError('Streaming diff inputs must be readable streams or ' +
+                        'iterables of chunks');
+  }
+  var StringDecoder = require('string_decoder').StringDecoder;
+  var decoder = new StringDecoder('utf8');
+  var pending = [];  // Complete lines which were read.
+  var partial = '';  // Start of the line being read.
+  var exhausted = false;
+  var closed = false;
+
+  var reader = {done: false};
+  reader.close = function() {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    pending = [];
+    partial = '';
+    if (!exhausted && typeof iterator.return === 'function') {
+      // Any error closing the source has nobody left to report it to.
+      Promise.resolve(iterator.return()).catch(function() {});
+    }
+  };
+  reader.fill = function(lines, size) {
+    if (closed) {
+      return Promise.resolve();
+    }
+    var count = Math.min(size - lines.length, pending.length);
+    if (count > 0) {
+      Array.prototype.push.apply(lines, pending.splice(0, count));
+    }
+    if (lines.length >= size || exhausted) {
+      reader.done = exhausted && !pending.length;
+      return Promise.resolve();
+    }
+    return Promise.resolve(iterator.next()).then(function(result) {
+      var text;
+      if (result.done) {
+        exhausted = true;
+        text = partial + decoder.end();
+      } else {
+        var chunk = result.value;
+        text = partial + (typeof chunk === 'string' ?
+                          chunk : decoder.write(chunk));
+      }
+      var lineStart = 0;
+      for (;;) {
+        var lineEnd = text.indexOf('\n', lineStart) + 1;
+        if (!lineEnd || lineEnd - lineStart > maxLine) {
+          if (!lineEnd && text.length - lineStart < maxLine) {
+            break;
           }
-          // Delete the offending records and add the merged ones.
-          if (count_delete === 0) {
-            diffs.splice(pointer - count_insert,
-                count_delete + count_insert, [DIFF_INSERT, text_insert]);
-          } else if (count_insert === 0) {
-            diffs.splice(pointer - count_delete,
-                count_delete + count_insert, [DIFF_DELETE, text_delete]);
-          } else {
-            diffs.splice(pointer - count_delete - count_insert,
-                count_delete + count_insert, [DIFF_DELETE, text_delete],
-                [DIFF_INSERT, text_insert]);
+          // Split the line, but not within a surrogate pair.
+          lineEnd = lineStart + maxLine;
+          var charCode = text.charCodeAt(lineEnd - 1);
+          if (charCode >= 0xD800 && charCode <= 0xDBFF) {
+            lineEnd--;
           }
-          pointer = pointer - count_delete - count_insert +
-                    (count_delete ? 1 : 0) + (count_insert ? 1 : 0) + 1;
-        } else if (pointer !== 0 && diffs[pointer - 1][0] == DIFF_EQUAL) {
-          // Merge this equality with the previous one.
-          diffs[pointer - 1][1] = diffs[pointer - 1][1].concat( diffs[pointer][1] );
-          diffs.splice(pointer, 1);
-        } else {
-          pointer++;
         }
-        count_insert = 0;
-        count_delete = 0;
-        text_delete = [];
-        text_insert = [];
+        pending.push(text.substring(lineStart, lineEnd));
+        lineStart = lineEnd;
+      }
+      partial = text.substring(lineStart);
+      if (exhausted && partial) {
+        pending.push(partial);
+        partial = '';
+      }
+      return reader.fill(lines, size);
+    });
+  };
+  return reader;
+}
+
+
+//  OT FUNCTIONS
+
+
+/**
+ * Convert a diff to the ops of a Quill Delta which turns text1 into text2.
+ * Lengths are counted in UTF-16 code units, as Quill does, and inserts are
+ * placed before deletes at the same position, as Delta.push does.
+ * @param {Array} diffs Array of diff tuples. Diffs contain strings or
+ *     arrays of symbols.
+ * @return {Array.<Object>} Array of {retain}, {insert} and {delete} ops.
+ */
+function ot_toQuill(diffs) {
+  diffs = diff_literal_(diffs);
+  var ops = [];
+  for (var x = 0; x < diffs.length; x++) {
+    var text = typeof diffs[x][1] === 'string' ? diffs[x][1] :
+        symbolsArrayToString(diffs[x][1]);
+    if (!text.length) {
+      continue;
+    }
+    switch (diff_sideOp_(diffs[x])) {
+      case DIFF_EQUAL:
+        ot_push_(ops, {retain: text.length});
+        break;
+      case DIFF_DELETE:
+        ot_push_(ops, {delete: text.length});
+        break;
+      case DIFF_INSERT:
+        ot_push_(ops, {insert: text});
         break;
     }
   }
-  if (diffs[diffs.length - 1][1].length === 0) {
-    diffs.pop();  // Remove the dummy entry at the end.
+  return ot_chop_(ops);
+}
+
+
+/**
+ * Convert the ops of a Quill Delta applied to a text to a diff.  Attributes
+ * are dropped, so formatting alone makes no difference.
+ * @param {string} text Text the ops apply to.
+ * @param {Array.<Object>|{ops: Array.<Object>}} ops Array of ops, or a
+ *     Delta.
+ * @return {Array} Array of diff tuples. Diffs contain strings.
+ */
+function ot_fromQuill(text, ops) {
+  return ot_toDiffs_(text, ot_quillOps_(ops));
+}
+
+
+/**
+ * Convert a diff to an op of the ot-text type (as used by ShareDB): numbers
+ * skip, strings insert and {d: number} deletes, counted in UTF-16 code
+ * units.
+ * @param {Array} diffs Array of diff tuples. Diffs contain strings or
+ *     arrays of symbols.
+ * @return {Array} ot-text op.
+ */
+function ot_toOtText(diffs) {
+  return ot_quillToOtText_(ot_toQuill(diffs));
+}
+
+
+/**
+ * Convert an ot-text op applied to a text to a diff.
+ * @param {string} text Text the op applies to.
+ * @param {Array} op ot-text op.
+ * @return {Array} Array of diff tuples. Diffs contain strings.
+ */
+function ot_fromOtText(text, op) {
+  return ot_toDiffs_(text, ot_otTextToQuill_(op));
+}
+
+
+/**
+ * Transform two concurrent edits of the same text against each other, so
+ * that applying opsA then opsB' gives the same text as applying opsB then
+ * opsA'.  When both insert at the same position, the insert of opsA comes
+ * first.
+ * @param {Array} opsA Quill Delta ops (or a Delta), or an ot-text op.
+ * @param {Array} opsB Concurrent edit, like opsA.
+ * @return {Array} [opsA', opsB'], as ot-text ops if either edit was one,
+ *     otherwise as Quill Delta ops.
+ */
+function ot_transform(opsA, opsB) {
+  var otText = ot_isOtText_(opsA) || ot_isOtText_(opsB);
+  var a = ot_isOtText_(opsA) ? ot_otTextToQuill_(opsA) : ot_quillOps_(opsA);
+  var b = ot_isOtText_(opsB) ? ot_otTextToQuill_(opsB) : ot_quillOps_(opsB);
+  var aPrime = ot_transformOps_(b, a, false);
+  var bPrime = ot_transformOps_(a, b, true);
+  return otText ?
+      [ot_quillToOtText_(aPrime), ot_quillToOtText_(bPrime)] :
+      [aPrime, bPrime];
+}
+
+
+/**
+ * Transform ops against ops applied concurrently before them, as
+ * Delta.transform does.
+ * @param {Array.<Object>} first Ops applied first.
+ * @param {Array.<Object>} ops Ops to transform.
+ * @param {boolean} priority Whether inserts of first go before inserts of
+ *     ops at the same position.
+ * @return {Array.<Object>} Transformed ops.
+ * @private
+ */
+function ot_transformOps_(first, ops, priority) {
+  var result = [];
+  var iterator1 = ot_iterator_(first);
+  var iterator2 = ot_iterator_(ops);
+  while (iterator1.hasNext() || iterator2.hasNext()) {
+    if (iterator1.peekType() === 'insert' &&
+        (priority || iterator2.peekType() !== 'insert')) {
+      // Skip over what was inserted first.
+      ot_push_(result, {retain: ot_length_(iterator1.next())});
+    } else if (iterator2.peekType() === 'insert') {
+      ot_push_(result, iterator2.next());
+    } else {
+      var length = Math.min(iterator1.peekLength(), iterator2.peekLength());
+      var op1 = iterator1.next(length);
+      var op2 = iterator2.next(length);
+      if (op1.delete !== undefined) {
+        // Already deleted, there is nothing left to retain or delete.
+        continue;
+      }
+      ot_push_(result, op2.delete !== undefined ? op2 : {retain: length});
+    }
+  }
+  return ot_chop_(result);
+}
+
+
+/**
+ * Iterate over ops, a part of an op at a time.  Past the end, the text is
+ * retained.
+ * @param {Array.<Object>} ops Array of Quill Delta ops.
+ * @return {Object} Iterator with hasNext, peekType, peekLength and next
+ *     methods.
+ * @private
+ */
+function ot_iterator_(ops) {
+  var index = 0;
+  var offset = 0;  // Length of ops[index] already consumed.
+  var iterator = {};
+  iterator.hasNext = function() {
+    return index < ops.length;
+  };
+  iterator.peekType = function() {
+    return index < ops.length ? ot_type_(ops[index]) : 'retain';
+  };
+  iterator.peekLength = function() {
+    return index < ops.length ? ot_length_(ops[index]) - offset : Infinity;
+  };
+  iterator.next = function(length) {
+    if (index >= ops.length) {
+      return {retain: length};
+    }
+    var op = ops[index];
+    var type = ot_type_(op);
+    var start = offset;
+    if (length === undefined || length >= ot_length_(op) - offset) {
+      length = ot_length_(op) - offset;
+      index++;
+      offset = 0;
+    } else {
+      offset += length;
+    }
+    var part = {};
+    part[type] = type === 'insert' ?
+        op.insert.substring(start, start + length) : length;
+    return part;
+  };
+  return iterator;
+}
+
+
+/**
+ * Append an op to ops, merging it with the last op of the same kind and
+ * placing inserts before deletes, as Delta.push does.
+ * @param {Array.<Object>} ops Array of Quill Delta ops.
+ * @param {Object} op Op to append, not modified.
+ * @private
+ */
+function ot_push_(ops, op) {
+  var type = ot_type_(op);
+  var last = ops[ops.length - 1];
+  if (last && type === 'insert' && ot_type_(last) === 'delete') {
+    ops.pop();
+    ot_push_(ops, op);
+    ops.push(last);
+    return;
+  }
+  if (last && ot_type_(last) === type) {
+    last[type] += op[type];
+    return;
   }
+  var copy = {};
+  copy[type] = op[type];
+  ops.push(copy);
+}
 
-  // Second pass: look for single edits surrounded on both sides by equalities
-  // which can be shifted sideways to eliminate an equality.
-  // e.g: A<ins>BA</ins>C -> <ins>AB</ins>AC
-  var changes = false;
-  pointer = 1;
-  // Intentionally ignore the first and last element (don't need checking).
-  while (pointer < diffs.length - 1) {
-    if (diffs[pointer - 1][0] == DIFF_EQUAL &&
-        diffs[pointer + 1][0] == DIFF_EQUAL) {
-      // This is a single edit surrounded by equalities.
-      if ( isEqual( diffs[pointer][1].slice(diffs[pointer][1].length -
-          diffs[pointer - 1][1].length), diffs[pointer - 1][1] ) ) {
-        // Shift the edit over the previous equality.
-        diffs[pointer][1] = diffs[pointer - 1][1].concat(
-            diffs[pointer][1].slice(0, diffs[pointer][1].length -
-                                        diffs[pointer - 1][1].length) );
-        diffs[pointer + 1][1] = diffs[pointer - 1][1].concat( diffs[pointer + 1][1] );
-        diffs.splice(pointer - 1, 1);
-        changes = true;
-      } else if ( isEqual (diffs[pointer][1].slice(0, diffs[pointer + 1][1].length),
-          diffs[pointer + 1][1] ) ) {
-        // Shift the edit over the next equality.
-        diffs[pointer - 1][1] = diffs[pointer - 1][1].concat( diffs[pointer + 1][1] );
-        diffs[pointer][1] =
-            diffs[pointer][1].slice(diffs[pointer + 1][1].length).concat(
-            diffs[pointer + 1][1] );
-        diffs.splice(pointer + 1, 1);
-        changes = true;
-      }
+
+/**
+ * Remove the trailing retain of ops, which changes nothing.
+ * @param {Array.<Object>} ops Array of Quill Delta ops.
+ * @return {Array.<Object>} The given ops.
+ * @private
+ */
+function ot_chop_(ops) {
+  if (ops.length && ot_type_(ops[ops.length - 1]) === 'retain') {
+    ops.pop();
+  }
+  return ops;
+}
+
+
+/**
+ * Apply ops to a text, as a diff.
+ * @param {string} text Text the ops apply to.
+ * @param {Array.<Object>} ops Array of checked Quill Delta ops.
+ * @return {Array} Array of diff tuples. Diffs contain strings.
+ * @private
+ */
+function ot_toDiffs_(text, ops) {
+  var diffs = [];
+  var index = 0;
+  for (var x = 0; x < ops.length; x++) {
+    var type = ot_type_(ops[x]);
+    if (type === 'insert') {
+      ot_pushDiff_(diffs, DIFF_INSERT, ops[x].insert);
+      continue;
     }
-    pointer++;
+    var end = index + ops[x][type];
+    if (end > text.length) {
+      throw new Error('Ops are longer than the text');
+    }
+    var before = text.charCodeAt(end - 1);
+    var after = text.charCodeAt(end);
+    if (before >= 0xD800 && before <= 0xDBFF &&
+        after >= 0xDC00 && after <= 0xDFFF) {
+      throw new Error('Ops split a surrogate pair at ' + end);
+    }
+    ot_pushDiff_(diffs, type === 'retain' ? DIFF_EQUAL : DIFF_DELETE,
+                 text.substring(index, end));
+    index = end;
   }
-  // If shifts were made, the diff needs reordering and another shift sweep.
-  if (changes) {
-    diff_cleanupMerge(diffs);
+  ot_pushDiff_(diffs, DIFF_EQUAL, text.substring(index));
+  return diffs;
+}
+
+
+/**
+ * Append a diff tuple to diffs, merging it with the last tuple of the same
+ * operation and placing deletions before insertions.
+ * @param {Array} diffs Array of diff tuples. Diffs contain strings.
+ * @param {number} op Operation of the tuple.
+ * @param {string} text Text of the tuple, nothing is appended if empty.
+ * @private
+ */
+function ot_pushDiff_(diffs, op, text) {
+  if (!text) {
+    return;
   }
-};
+  var last = diffs[diffs.length - 1];
+  if (last && op === DIFF_DELETE && last[0] === DIFF_INSERT) {
+    diffs.pop();
+    ot_pushDiff_(diffs, op, text);
+    diffs.push(last);
+  } else if (last && last[0] === op) {
+    last[1] += text;
+  } else {
+    diffs.push([op, text]);
+  }
+}
 
 
 /**
- * Converts diffs array contents from arrays of symbols to strings.
- * @param {Array} diffs Array of diff tuples. Diffs should contain arrays of symbols.
+ * Check Quill Delta ops, and unwrap them from a Delta.
+ * @param {Array.<Object>|{ops: Array.<Object>}} ops Array of ops, or a
+ *     Delta.
+ * @return {Array.<Object>} Array of ops.
+ * @private
  */
-function diff_convertToStrings(diffs) {
-  var diffsLen = diffs.length;
-  for (var i = 0; i < diffsLen; i++) {
-    diffs[i][1] = symbolsArrayToString( diffs[i][1] );
+function ot_quillOps_(ops) {
+  if (ops && !Array.isArray(ops)) {
+    ops = ops.ops;
+  }
+  if (!Array.isArray(ops)) {
+    throw new TypeError('ops must be an array or a Delta');
+  }
+  for (var x = 0; x < ops.length; x++) {
+    var type = ot_type_(ops[x]);
+    var value = ops[x][type];
+    if (type === 'insert' ? typeof value !== 'string' :
+                            typeof value !== 'number' || !(value >= 0)) {
+      throw new TypeError('Only text ops can be converted: ' +
+                          JSON.stringify(ops[x]));
+    }
+  }
+  return ops;
+}
+
+
+/**
+ * Convert Quill Delta ops to an ot-text op.
+ * @param {Array.<Object>} ops Array of Quill Delta ops.
+ * @return {Array} ot-text op.
+ * @private
+ */
+function ot_quillToOtText_(ops) {
+  return ops.map(function(op) {
+    switch (ot_type_(op)) {
+      case 'retain':
+        return op.retain;
+      case 'insert':
+        return op.insert;
+      case 'delete':
+        return {d: op.delete};
+    }
+  });
+}
+
+
+/**
+ * Check and convert an ot-text op to Quill Delta ops.
+ * @param {Array} op ot-text op.
+ * @return {Array.<Object>} Array of Quill Delta ops.
+ * @private
+ */
+function ot_otTextToQuill_(op) {
+  if (!Array.isArray(op)) {
+    throw new TypeError('op must be an array');
+  }
+  return op.map(function(component) {
+    if (typeof component === 'number' && component >= 0) {
+      return {retain: component};
+    }
+    if (typeof component === 'string') {
+      return {insert: component};
+    }
+    if (component && typeof component.d === 'number' && component.d >= 0) {
+      return {delete: component.d};
+    }
+    throw new TypeError('Unknown ot-text component: ' +
+                        JSON.stringify(component));
+  });
+}
+
+
+/**
+ * Tell ot-text ops from Quill Delta ops.
+ * @param {*} ops Ops of either kind.
+ * @return {boolean} Whether ops is an ot-text op.
+ * @private
+ */
+function ot_isOtText_(ops) {
+  return Array.isArray(ops) && ops.some(function(component) {
+    return typeof component !== 'object' || hasOwn(component, 'd');
+  });
+}
+
+
+/**
+ * Find the kind of a Quill Delta op.
+ * @param {Object} op Quill Delta op.
+ * @return {string} 'insert', 'delete' or 'retain'.
+ * @private
+ */
+function ot_type_(op) {
+  if (op.insert !== undefined) {
+    return 'insert';
   }
+  return op.delete !== undefined ? 'delete' : 'retain';
+}
+
+
+/**
+ * Find the length of a Quill Delta op, in UTF-16 code units.
+ * @param {Object} op Quill Delta op.
+ * @return {number} Length of the op.
+ * @private
+ */
+function ot_length_(op) {
+  var type = ot_type_(op);
+  return type === 'insert' ? op.insert.length : op[type];
 }
 
 
 /**
  * Converts a string to an array of symbols.
  * @param {string} string String to be converted to symbols.
+ * @param {string=} granularity 'codepoint' (default) or 'grapheme'.
  * @returns {Array.<string>} Array of symbols that make up string.
  */
-function stringToSymbolsArray(string) {
+function stringToSymbolsArray(string, granularity) {
+  if (granularity === 'grapheme') {
+    return graphemeSplitter.splitGraphemes(string);
+  }
+
   var index = 0;
   var length = string.length;
   var output = [];
@@ -626,6 +5139,141 @@ function stringToSymbolsArray(string) {
 }
 
 
+/**
+ * Converts a string to an array of symbols to be compared under the ignore
+ * and normalize options of diff_start.  Symbols whose keys could differ in
+ * length are merged: when normalizing, strings are split into graphemes
+ * so composed and decomposed characters are one symbol each; whitespace
+ * runs are one symbol when whitespace is ignored, and so are CRLF line
+ * endings when line endings are ignored.
+ * @param {string} string String to be converted to symbols.
+ * @param {string} granularity 'codepoint' or 'grapheme'.
+ * @param {Object} options Options given to diff_start.
+ * @returns {Array.<string>} Array of symbols that make up string.
+ */
+function stringToComparableSymbols(string, granularity, options) {
+  var symbols = stringToSymbolsArray(string,
+                                     options.normalize ? 'grapheme' :
+                                                         granularity);
+  var output = [];
+  for (var i = 0; i < symbols.length; i++) {
+    var last = output.length - 1;
+    if (last >= 0 &&
+        ((options.ignoreWhitespace && BLANK_REGEX.test(output[last]) &&
+          BLANK_REGEX.test(symbols[i])) ||
+         (options.ignoreLineEndings && output[last] === '\r' &&
+          symbols[i] === '\n'))) {
+      output[last] += symbols[i];
+    } else {
+      output.push(symbols[i]);
+    }
+  }
+  return output;
+}
+
+
+/**
+ * Converts a string to an array of code points.  Unpaired surrogates are
+ * kept as they are.
+ * @param {string} string String to be converted to code points.
+ * @returns {Array.<number>} Array of code points that make up string.
+ */
+function stringToCodePoints(string) {
+  var length = string.length;
+  var output = [];
+  for (var index = 0; index < length; ++index) {
+    var charCode = string.charCodeAt(index);
+    if (charCode >= 0xD800 && charCode <= 0xDBFF && index + 1 < length) {
+      var lowCode = string.charCodeAt(index + 1);
+      if (lowCode >= 0xDC00 && lowCode <= 0xDFFF) {
+        charCode = (charCode - 0xD800) * 0x400 + (lowCode - 0xDC00) + 0x10000;
+        ++index;
+      }
+    }
+    output.push(charCode);
+  }
+  return output;
+}
+
+
+/**
+ * Converts a code point to a string.
+ * @param {number} codePoint Code point.
+ * @returns {string} String of one or (for astral code points) two UTF-16
+ *     code units.
+ */
+function codePointToString(codePoint) {
+  if (codePoint < 0x10000) {
+    return String.fromCharCode(codePoint);
+  }
+  codePoint -= 0x10000;
+  return String.fromCharCode(0xD800 + (codePoint >> 10),
+                             0xDC00 + (codePoint & 0x3FF));
+}
+
+
+/**
+ * Converts a string to an array of the units lengths are counted in.
+ * @param {string} string String to be converted.
+ * @param {string} unit 'codepoint', 'utf16' or 'grapheme'.
+ * @returns {Array.<string>} Array of units that make up string.
+ */
+function stringToUnitsArray(string, unit) {
+  if (unit === 'utf16') {
+    return string.split('');
+  }
+  return stringToSymbolsArray(string, unit);
+}
+
+
+/**
+ * Converts a string to an array of lines. Each line keeps its line ending.
+ * @param {string} string String to be converted to lines.
+ * @returns {Array.<string>} Array of lines that make up string.
+ */
+function stringToLinesArray(string) {
+  var output = [];
+  // Walk the text, pulling out a substring for each line.
+  var lineStart = 0;
+  var lineEnd = -1;
+  while (lineEnd < string.length - 1) {
+    lineEnd = string.indexOf('\n', lineStart);
+    if (lineEnd == -1) {
+      lineEnd = string.length - 1;
+    }
+    output.push(string.substring(lineStart, lineEnd + 1));
+    lineStart = lineEnd + 1;
+  }
+  return output;
+}
+
+
+/**
+ * Converts a string to an array of words, whitespace runs and punctuation.
+ * @param {string} string String to be converted to words.
+ * @returns {Array.<string>} Array of words that make up string.
+ */
+function stringToWordsArray(string) {
+  return string.match(WORD_REGEX) || [];
+}
+
+
+/**
+ * Converts a string to an array of tokens with the given tokenizer and
+ * checks that no part of the string was lost.
+ * @param {string} string String to be converted to tokens.
+ * @param {function(string): Array.<string>} tokenize Tokenizer.
+ * @returns {Array.<string>} Array of tokens that make up string.
+ */
+function tokenizeString(string, tokenize) {
+  var tokens = tokenize(string);
+  if (!Array.isArray(tokens) || tokens.join('') !== string) {
+    throw new Error('Tokens must join back to the tokenized string');
+  }
+  return tokens;
+}
+
+
 /**
  * Converts an array of symbols to a string.
  * @param {Array.<string>} symbols Array of symbols.
@@ -636,15 +5284,109 @@ function symbolsArrayToString(symbols) {
 }
 
 
+/**
+ * Escapes a string using %xx notation, like encodeURI.  Unpaired
+ * surrogates, which encodeURI cannot encode, are written as %uXXXX.
+ * @param {string} string String to be escaped.
+ * @returns {string} Escaped string.
+ */
+function encodeURIText(string) {
+  var output = [];
+  var start = 0;
+  for (var index = 0; index < string.length; index++) {
+    var charCode = string.charCodeAt(index);
+    if (charCode < 0xD800 || charCode > 0xDFFF) {
+      continue;
+    }
+    var lowCode = string.charCodeAt(index + 1);
+    if (charCode <= 0xDBFF && lowCode >= 0xDC00 && lowCode <= 0xDFFF) {
+      index++;
+      continue;
+    }
+    output.push(encodeURI(string.substring(start, index)),
+                '%u' + charCode.toString(16).toUpperCase());
+    start = index + 1;
+  }
+  output.push(encodeURI(string.substring(start)));
+  return output.join('');
+}
+
+
+/**
+ * Unescapes a string escaped by encodeURIText.
+ * @param {string} string String to be unescaped.
+ * @returns {string} Unescaped string.
+ * @throws {URIError} If the string contains an invalid escape.
+ */
+function decodeURIText(string) {
+  var parts = string.split(/(%u[Dd][89A-Fa-f][0-9A-Fa-f]{2})/);
+  for (var i = 0; i < parts.length; i++) {
+    parts[i] = i % 2 ?
+        String.fromCharCode(parseInt(parts[i].substring(2), 16)) :
+        decodeURI(parts[i]);
+  }
+  return parts.join('');
+}
+
+
+/**
+ * Whether an object has a property of its own.
+ * @param {Object} object Object to look at.
+ * @param {string} key Property name.
+ * @returns {boolean} True if the property is the object's own.
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+
+/**
+ * Compares two symbols. Mimics the behavior of the === operator unless a
+ * custom equals function is given.
+ * @param {*} symbol1 First symbol.
+ * @param {*} symbol2 Second symbol.
+ * @param {function(*, *): boolean=} equals Optional symbol comparison.
+ * @returns {boolean} True if the symbols are equal.
+ */
+function symbolsEqual(symbol1, symbol2, equals) {
+  return equals ? !!equals(symbol1, symbol2) : symbol1 === symbol2;
+}
+
+
+/**
+ * Compares two arrays of symbols element by element.
+ * @param {Array} array1 First array of symbols.
+ * @param {Array} array2 Second array of symbols.
+ * @param {function(*, *): boolean=} equals Optional symbol comparison.
+ * @returns {boolean} True if both arrays hold equal symbols in the same order.
+ */
+function arraysEqual(array1, array2, equals) {
+  if (array1 === array2) {
+    return true;
+  }
+  var length = array1.length;
+  if (length !== array2.length) {
+    return false;
+  }
+  for (var i = 0; i < length; i++) {
+    if ( !symbolsEqual(array1[i], array2[i], equals) ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+
 /**
  * Finds the index of a sub array inside the main array. Mimics the behavior
  * of String.indexOf.
  * @param {Array} mainArray Array to be searched through.
  * @param {Array} subArray Array to search for.
  * @param {integer} startIndex Index of where to begin search.
+ * @param {function(*, *): boolean=} equals Optional symbol comparison.
  * @returns {integer} Index of sub array in main array. -1 for not found.
  */
-function subArrayIndexOf(mainArray, subArray, startIndex) {
+function subArrayIndexOf(mainArray, subArray, startIndex, equals) {
   var mainArrayIndex = startIndex || 0;
 
   // handle empty sub array, mimic String.indexOf behavior
@@ -652,56 +5394,198 @@ function subArrayIndexOf(mainArray, subArray, startIndex) {
     return Math.min(mainArrayIndex, mainArray.length);
   }
 
-  // handle non possible cases
-  if ( (mainArrayIndex + subArray.length) > mainArray.length) {
-    return -1;
-  }
-
   // handle single value sub array
-  if (subArray.length === 1) {
+  if (subArray.length === 1 && !equals) {
     return mainArray.indexOf(subArray[0], mainArrayIndex);
   }
 
+  return subArraySearch(mainArray, subArray, mainArrayIndex, equals,
+                        subArrayFallbacks(subArray, equals));
+}
 
-  // handle multi value sub array
-  var firstSubVal = subArray[0];
-  var startPoints = [];
-  var startPoint;
 
-  do {
-    startPoint = mainArray.indexOf(firstSubVal, mainArrayIndex);
-    if (startPoint >= 0) {
-      startPoints.push(startPoint);
+/**
+ * Computes the Knuth-Morris-Pratt failure table of a sub array: for each
+ * prefix, the length of its longest proper prefix which is also a suffix.
+ * @param {Array} subArray Array to be searched for.
+ * @param {function(*, *): boolean=} equals Optional symbol comparison.
+ * @returns {Int32Array} Failure table, as long as the sub array.
+ */
+function subArrayFallbacks(subArray, equals) {
+  var fallbacks = new Int32Array(subArray.length);
+  var matched = 0;
+  for (var i = 1; i < subArray.length; i++) {
+    while (matched > 0 && !(equals ? equals(subArray[i], subArray[matched]) :
+                                     subArray[i] === subArray[matched])) {
+      matched = fallbacks[matched - 1];
     }
-    mainArrayIndex = startPoint + 1;
-  } while (startPoint >= 0)
+    if (equals ? equals(subArray[i], subArray[matched]) :
+                 subArray[i] === subArray[matched]) {
+      matched++;
+    }
+    fallbacks[i] = matched;
+  }
+  return fallbacks;
+}
 
-  // check all start points
-  var startPointsLen = startPoints.length;
-  for (var pointIndex=0; pointIndex < startPointsLen; pointIndex++){
-    mainArrayIndex = startPoints[pointIndex];
-    // check if rest of sub array matches
-    for (var subArrayIndex=1; subArrayIndex < subArray.length; subArrayIndex++) {
-      // if values don't match, break, check next start point
-      if (subArray[subArrayIndex] !== mainArray[mainArrayIndex+subArrayIndex]) {
-        break;
+
+/**
+ * Finds the index of a non-empty sub array inside the main array in linear
+ * time, with the Knuth-Morris-Pratt algorithm.  On a mismatch, the search
+ * goes on from the longest prefix of the sub array which is also a suffix
+ * of the part that matched, so symbols of the main array are never
+ * compared again after they matched.
+ * @param {Array} mainArray Array to be searched through.
+ * @param {Array} subArray Array to search for.
+ * @param {integer} startIndex Index of where to begin search.
+ * @param {function(*, *): boolean=} equals Optional symbol comparison.
+ * @param {Int32Array} fallbacks Failure table from subArrayFallbacks, so
+ *     repeated searches for the same sub array need not compute it again.
+ * @returns {integer} Index of sub array in main array. -1 for not found.
+ */
+function subArraySearch(mainArray, subArray, startIndex, equals, fallbacks) {
+  var subArrayLength = subArray.length;
+  var mainArrayLength = mainArray.length;
+  var matched = 0;
+  for (var i = startIndex; i < mainArrayLength; i++) {
+    // handle non possible cases
+    if (mainArrayLength - i < subArrayLength - matched) {
+      return -1;
+    }
+    while (matched > 0 && !(equals ? equals(mainArray[i], subArray[matched]) :
+                                     mainArray[i] === subArray[matched])) {
+      matched = fallbacks[matched - 1];
+    }
+    if (equals ? equals(mainArray[i], subArray[matched]) :
+                 mainArray[i] === subArray[matched]) {
+      matched++;
+      if (matched === subArrayLength) {
+        return i - subArrayLength + 1;
       }
-      // if reached here and checked all sub array elements, found
-      if (subArrayIndex === subArray.length-1) {
-        return mainArrayIndex;
+    }
+  }
+  return -1;
+}
+
+
+/**
+ * Measures, for every index of the main array, how many symbols from there
+ * on are equal to the start of the sub array, in linear time with the
+ * Z-algorithm.  The rightmost match found so far is reused: within it, the
+ * main array repeats the sub array, whose own prefix lengths are known.
+ * @param {Array} subArray Array whose prefix is measured.
+ * @param {Array} mainArray Array to be searched through.
+ * @param {function(*, *): boolean=} equals Optional symbol comparison.
+ * @returns {Int32Array} Length of the common prefix of the sub array and
+ *     the main array from each index, as long as the main array.
+ */
+function subArrayPrefixLengths(subArray, mainArray, equals) {
+  var own = new Int32Array(subArray.length);
+  var lengths = new Int32Array(mainArray.length);
+  subArrayPrefixLengthsInto_(subArray, subArray, 1, own, own, equals);
+  subArrayPrefixLengthsInto_(subArray, mainArray, 0, own, lengths, equals);
+  return lengths;
+}
+
+
+/**
+ * Fill in the prefix lengths of subArrayPrefixLengths.
+ * @param {Array} subArray Array whose prefix is measured.
+ * @param {Array} mainArray Array to be searched through.
+ * @param {number} start First index of the main array to measure.
+ * @param {Int32Array} own Prefix lengths of the sub array against itself,
+ *     filled in from index 1 on when the main array is the sub array.
+ * @param {Int32Array} lengths Prefix lengths to fill in.
+ * @param {function(*, *): boolean=} equals Optional symbol comparison.
+ * @private
+ */
+function subArrayPrefixLengthsInto_(subArray, mainArray, start, own, lengths,
+                                    equals) {
+  var subArrayLength = subArray.length;
+  var mainArrayLength = mainArray.length;
+  // mainArray[left, right) equals subArray[0, right - left).
+  var left = 0;
+  var right = 0;
+  for (var i = start; i < mainArrayLength; i++) {
+    var length = 0;
+    if (i < right) {
+      length = Math.min(right - i, own[i - left]);
+    }
+    if (i + length >= right) {
+      while (length < subArrayLength && i + length < mainArrayLength &&
+             (equals ? equals(mainArray[i + length], subArray[length]) :
+                       mainArray[i + length] === subArray[length])) {
+        length++;
       }
+      left = i;
+      right = i + length;
     }
+    lengths[i] = length;
   }
+}
+
 
-  // if reached this point, not found
+/**
+ * Finds the last index of a sub array inside the main array. Mimics the
+ * behavior of String.lastIndexOf.
+ * @param {Array} mainArray Array to be searched through.
+ * @param {Array} subArray Array to search for.
+ * @param {integer=} startIndex Last index at which the sub array may begin.
+ * @returns {integer} Index of sub array in main array. -1 for not found.
+ */
+function subArrayLastIndexOf(mainArray, subArray, startIndex) {
+  var mainArrayIndex = mainArray.length - subArray.length;
+  if (startIndex !== undefined) {
+    mainArrayIndex = Math.min(Math.max(startIndex, 0), mainArrayIndex);
+  }
+  for (; mainArrayIndex >= 0; mainArrayIndex--) {
+    for (var i = 0; i < subArray.length; i++) {
+      if (mainArray[mainArrayIndex + i] !== subArray[i]) {
+        break;
+      }
+    }
+    if (i === subArray.length) {
+      return mainArrayIndex;
+    }
+  }
   return -1;
 }
 
 
 var diff = diff_start;
+diff.arrays = diff_arrays;
+diff.match = match_start;
+diff.toDelta = diff_toDelta;
+diff.fromDelta = diff_fromDelta;
+diff.text1 = diff_startText1;
+diff.text2 = diff_startText2;
+diff.levenshtein = diff_startLevenshtein;
+diff.xIndex = diff_startXIndex;
+diff.json = json_start;
+diff.merge3 = merge_start;
+diff.stream = diff_stream;
+diff.render = {
+  unified: render_unified,
+  html: render_html,
+  ansi: render_ansi
+};
+diff.ot = {
+  toQuill: ot_toQuill,
+  fromQuill: ot_fromQuill,
+  toOtText: ot_toOtText,
+  fromOtText: ot_fromOtText,
+  transform: ot_transform
+};
+diff.patch = {
+  make: patch_make,
+  apply: patch_apply,
+  toText: patch_toText,
+  fromText: patch_fromText
+};
 diff.INSERT = DIFF_INSERT;
 diff.DELETE = DIFF_DELETE;
 diff.EQUAL = DIFF_EQUAL;
+diff.MOVE = DIFF_MOVE;
 
 
 module.exports = diff;
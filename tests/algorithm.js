@@ -0,0 +1,128 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+var ALGORITHMS = ['myers', 'patience', 'histogram'];
+
+function randomLines(count, alphabet, seed) {
+  var lines = [];
+  for (var i = 0; i < count; i++) {
+    seed = (seed * 9301 + 49297) % 233280;
+    lines.push(alphabet[Math.floor(seed / 233280 * alphabet.length)] + '\n');
+  }
+  return lines.join('');
+}
+
+function rebuild(diffs, op) {
+  return diffs.filter(function(d) { return d[0] !== op; })
+              .map(function(d) { return d[1]; }).join('');
+}
+
+describe('Fast Diff Algorithm', function() {
+
+  it('Myers keeps the most common lines', function(){
+    var results = diff('\nreturn;\n\n\n', '\n\n\nreturn;\n', {
+      mode: 'line'
+    });
+    expect( results ).to.deep.equal([
+      [diff.EQUAL, '\n'],
+      [diff.DELETE, 'return;\n'],
+      [diff.EQUAL, '\n\n'],
+      [diff.INSERT, 'return;\n']
+    ]);
+  });
+
+  it('Patience anchors on unique lines', function(){
+    var results = diff('\nreturn;\n\n\n', '\n\n\nreturn;\n', {
+      mode: 'line', algorithm: 'patience'
+    });
+    expect( results ).to.deep.equal([
+      [diff.INSERT, '\n\n'],
+      [diff.EQUAL, '\nreturn;\n'],
+      [diff.DELETE, '\n\n']
+    ]);
+  });
+
+  it('Histogram anchors on rare lines', function(){
+    var results = diff('\nreturn;\n\n\n', '\n\n\nreturn;\n', {
+      mode: 'line', algorithm: 'histogram'
+    });
+    expect( results ).to.deep.equal([
+      [diff.INSERT, '\n\n'],
+      [diff.EQUAL, '\nreturn;\n'],
+      [diff.DELETE, '\n\n']
+    ]);
+  });
+
+  it('Patience keeps the longest series of anchors in order', function(){
+    var results = diff('a\nb\nc\nd\n', 'c\na\nb\nd\n', {
+      mode: 'line', algorithm: 'patience'
+    });
+    expect( results ).to.deep.equal([
+      [diff.INSERT, 'c\n'],
+      [diff.EQUAL, 'a\nb\n'],
+      [diff.DELETE, 'c\n'],
+      [diff.EQUAL, 'd\n']
+    ]);
+  });
+
+  it('Astral characters are anchored whole', function(){
+    var results = diff('💩a💩b', 'b💩a💩', { algorithm: 'patience' });
+    expect( rebuild(results, diff.INSERT) ).to.equal( '💩a💩b' );
+    expect( rebuild(results, diff.DELETE) ).to.equal( 'b💩a💩' );
+  });
+
+  ALGORITHMS.forEach(function(algorithm) {
+    ['char', 'word', 'line'].forEach(function(mode) {
+      it('Reconstructs both texts with ' + algorithm + ' in ' + mode + ' mode', function(){
+        for (var seed = 1; seed <= 20; seed++) {
+          var text1 = randomLines(30, ['{', '}', '', 'a b', 'b c', 'x' + seed], seed);
+          var text2 = randomLines(30, ['{', '}', '', 'a c', 'b c', 'y'], seed * 7);
+          var results = diff(text1, text2, { mode: mode, algorithm: algorithm });
+          expect( rebuild(results, diff.INSERT) ).to.equal( text1 );
+          expect( rebuild(results, diff.DELETE) ).to.equal( text2 );
+        }
+      });
+    });
+  });
+
+  it('Histogram handles long texts', function(){
+    var alphabet = [];
+    for (var i = 0; i < 5000; i++) {
+      alphabet.push('line ' + i);
+    }
+    var text1 = randomLines(20000, alphabet, 1);
+    var text2 = randomLines(20000, alphabet, 2);
+    var results = diff(text1, text2, { mode: 'line', algorithm: 'histogram' });
+    expect( rebuild(results, diff.INSERT) ).to.equal( text1 );
+    expect( rebuild(results, diff.DELETE) ).to.equal( text2 );
+  });
+
+  ['patience', 'histogram'].forEach(function(algorithm) {
+    it('Diffs long code in linear time with ' + algorithm, function(){
+      var lines1 = [];
+      var lines2 = [];
+      for (var i = 0; i < 40000; i++) {
+        var line = i % 10 === 0 ? '}\n' : '  line ' + i + ';\n';
+        lines1.push(line);
+        lines2.push(i % 50 === 25 ? 'changed ' + i + '\n' : line);
+      }
+      var text1 = lines1.join('');
+      var text2 = lines2.join('');
+      var start = Date.now();
+      var results = diff(text1, text2, { mode: 'line', algorithm: algorithm });
+      // Myers takes about 300ms here, quadratic time took several seconds.
+      expect( Date.now() - start ).to.be.below( 1500 );
+      expect( rebuild(results, diff.INSERT) ).to.equal( text1 );
+      expect( rebuild(results, diff.DELETE) ).to.equal( text2 );
+      expect( results.filter(function(d) { return d[0] === diff.DELETE; }).length )
+        .to.equal( 800 );
+    });
+  });
+
+  it('Unknown algorithm', function(){
+    expect(function() {
+      diff('a', 'b', { algorithm: 'hunt' });
+    }).to.throw('Unknown algorithm: hunt');
+  });
+
+});
@@ -0,0 +1,68 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+describe('Fast Diff Arrays', function() {
+
+  it('Token arrays', function(){
+    var tokens1 = ['var', 'a', '=', '1', ';'];
+    var tokens2 = ['var', 'b', '=', '1', ';'];
+    var results = diff.arrays(tokens1, tokens2);
+    var expected = [ [ 0, [ 'var' ] ],
+                     [ -1, [ 'a' ] ],
+                     [ 1, [ 'b' ] ],
+                     [ 0, [ '=', '1', ';' ] ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Numbers use strict equality', function(){
+    var results = diff.arrays([1, 2, 3], [1, '2', 3]);
+    var expected = [ [ 0, [ 1 ] ],
+                     [ -1, [ 2 ] ],
+                     [ 1, [ '2' ] ],
+                     [ 0, [ 3 ] ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Custom equals function', function(){
+    var records1 = [ { id: 1, name: 'a' }, { id: 2, name: 'b' }, { id: 3, name: 'c' } ];
+    var records2 = [ { id: 1, name: 'a' }, { id: 3, name: 'c' }, { id: 4, name: 'd' } ];
+    var results = diff.arrays(records1, records2, {
+      equals: function(a, b) { return a.id === b.id; }
+    });
+    var expected = [ [ 0, [ records1[0] ] ],
+                     [ -1, [ records1[1] ] ],
+                     [ 0, [ records1[2] ] ],
+                     [ 1, [ records2[2] ] ] ];
+    expect( results ).to.deep.equal( expected );
+    // Equal slices hold the values of the old array.
+    expect( results[2][1][0] ).to.equal( records1[2] );
+  });
+
+  it('Objects are not deep compared by default', function(){
+    var results = diff.arrays([ { a: 1 } ], [ { a: 1 } ]);
+    expect( results.map(function(d) { return d[0]; }) ).to.deep.equal( [ -1, 1 ] );
+  });
+
+  it('Equal and empty arrays', function(){
+    var array = ['x', 'y'];
+    var results = diff.arrays(array, ['x', 'y']);
+    expect( results ).to.deep.equal( [ [ 0, [ 'x', 'y' ] ] ] );
+    expect( results[0][1] ).to.not.equal( array );
+    expect( diff.arrays([], []) ).to.deep.equal( [] );
+    expect( diff.arrays([], [1]) ).to.deep.equal( [ [ 1, [ 1 ] ] ] );
+  });
+
+  it('Matches string diff on symbol arrays', function(){
+    var results = diff.arrays('Good dog'.split(''), 'Bad dog'.split(''));
+    var expected = diff('Good dog', 'Bad dog').map(function(d) {
+      return [ d[0], d[1].split('') ];
+    });
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Rejects a non function equals', function(){
+    expect( function() { diff.arrays([1], [2], { equals: true }); } )
+      .to.throw(TypeError);
+  });
+
+});
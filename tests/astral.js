@@ -31,4 +31,22 @@ describe('Fast Diff Astral', function() {
     expect( results ).to.deep.equal( expected );
   });
 
+  it('Astral Plane Text - Edge Code Points', function(){
+    var text1 = '\uDBFF\uDFFF\uD800\uDC00\uFFFF';
+    var text2 = '\uD800\uDC00\uFFFF\uDBFF\uDFFF';
+    var results = diff(text1,text2);
+    var expected = [ [ -1, '\uDBFF\uDFFF' ],
+                     [ 0, '\uD800\uDC00\uFFFF' ],
+                     [ 1, '\uDBFF\uDFFF' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Unpaired Surrogates', function(){
+    var text1 = 'a\uD83D';
+    var text2 = 'a\uD83D\uDC36\uDC36';
+    var results = diff(text1,text2);
+    var expected = [ [ 0, 'a' ], [ -1, '\uD83D' ], [ 1, '🐶\uDC36' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
 });
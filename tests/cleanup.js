@@ -0,0 +1,92 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+describe('Fast Diff Cleanup', function() {
+
+  it('Semantic - Trivial equalities', function(){
+    var results = diff('mouse', 'sofas', { cleanup: 'semantic' });
+    var expected = [ [ -1, 'mouse' ], [ 1, 'sofas' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Semantic - Word boundaries', function(){
+    var results = diff('The cat came.', 'The cat cat came.', { cleanup: 'semantic' });
+    var expected = [ [ 0, 'The cat ' ], [ 1, 'cat ' ], [ 0, 'came.' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Semantic - Blank lines', function(){
+    var text1 = 'AAA\r\n\r\nBBB\r\nDDD\r\n\r\nBBB\r\nEEE';
+    var text2 = 'AAA\r\n\r\nBBB\r\nEEE';
+    var results = diff(text1, text2, { cleanup: 'semantic' });
+    var expected = [ [ 0, 'AAA\r\n\r\n' ],
+                     [ -1, 'BBB\r\nDDD\r\n\r\n' ],
+                     [ 0, 'BBB\r\nEEE' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Semantic - Overlaps', function(){
+    expect( diff('abcxxx', 'xxxdef', { cleanup: 'semantic' }) )
+      .to.deep.equal( [ [ -1, 'abc' ], [ 0, 'xxx' ], [ 1, 'def' ] ] );
+    expect( diff('xxxabc', 'defxxx', { cleanup: 'semantic' }) )
+      .to.deep.equal( [ [ 1, 'def' ], [ 0, 'xxx' ], [ -1, 'abc' ] ] );
+  });
+
+  it('Semantic - Astral symbols are never split', function(){
+    var results = diff('I 🐶 you 🐶', 'I 🐯 us 🐯', { cleanup: 'semantic' });
+    var expected = [ [ 0, 'I ' ],
+                     [ -1, '🐶 you 🐶' ],
+                     [ 1, '🐯 us 🐯' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Semantic - Grapheme clusters', function(){
+    var results = diff('x 👨‍👩‍👧 y', 'x 👨‍👩‍👦 y', {
+      granularity: 'grapheme',
+      cleanup: 'semantic'
+    });
+    var expected = [ [ 0, 'x ' ], [ -1, '👨‍👩‍👧' ], [ 1, '👨‍👩‍👦' ], [ 0, ' y' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Efficiency - Four edit split', function(){
+    var results = diff('abxyzcd', '12xyz34', { cleanup: 'efficiency' });
+    var expected = [ [ -1, 'abxyzcd' ], [ 1, '12xyz34' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Efficiency - Equality longer than edit cost', function(){
+    var results = diff('abwxyzcd', '12wxyz34', { cleanup: 'efficiency' });
+    var expected = [ [ -1, 'ab' ], [ 1, '12' ], [ 0, 'wxyz' ],
+                     [ -1, 'cd' ], [ 1, '34' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Efficiency - Custom edit cost', function(){
+    var results = diff('abwxyzcd', '12wxyz34', { cleanup: 'efficiency', editCost: 5 });
+    var expected = [ [ -1, 'abwxyzcd' ], [ 1, '12wxyz34' ] ];
+    expect( results ).to.deep.equal( expected );
+    results = diff('abxcd', '12x34', { cleanup: 'efficiency', editCost: 0 });
+    expected = [ [ -1, 'ab' ], [ 1, '12' ], [ 0, 'x' ],
+                 [ -1, 'cd' ], [ 1, '34' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Efficiency - Lengths count symbols', function(){
+    // '🐱x🐭' is three symbols, although it is five UTF-16 code units long.
+    var results = diff('ab🐱x🐭cd', '12🐱x🐭34', { cleanup: 'efficiency' });
+    var expected = [ [ -1, 'ab🐱x🐭cd' ], [ 1, '12🐱x🐭34' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Invalid edit cost', function(){
+    expect( function() { diff('a', 'b', { cleanup: 'efficiency', editCost: -1 }); } )
+      .to.throw(TypeError, /editCost/);
+  });
+
+  it('Unknown cleanup', function(){
+    expect( function() { diff('a', 'b', { cleanup: 'tidy' }); } )
+      .to.throw(Error, /cleanup/);
+  });
+
+});
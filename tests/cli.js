@@ -0,0 +1,94 @@
+var expect = require('chai').expect;
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var BIN = path.join(__dirname, '..', 'bin', 'fast-diff-astral.js');
+var directory;
+
+function run(args, input) {
+  return childProcess.spawnSync(process.execPath, [ BIN ].concat(args), {
+    cwd: directory,
+    input: input || '',
+    encoding: 'utf8'
+  });
+}
+
+describe('Fast Diff CLI', function() {
+
+  // Each test starts node processes.
+  this.timeout(10000);
+
+  before(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fast-diff-astral-'));
+    fs.writeFileSync(path.join(directory, 'a.txt'), 'one\ntwo 🐶\nthree\n');
+    fs.writeFileSync(path.join(directory, 'b.txt'), 'one\ntwo 🐱\nthree\n');
+  });
+
+  after(function() {
+    fs.unlinkSync(path.join(directory, 'a.txt'));
+    fs.unlinkSync(path.join(directory, 'b.txt'));
+    fs.rmdirSync(directory);
+  });
+
+  it('Unified diff', function(){
+    var result = run([ 'a.txt', 'b.txt' ]);
+    expect( result.stdout ).to.equal(
+      '--- a.txt\n+++ b.txt\n@@ -1,3 +1,3 @@\n one\n-two 🐶\n+two 🐱\n three\n'
+    );
+    expect( result.status ).to.equal( 1 );
+  });
+
+  it('Same files', function(){
+    var result = run([ 'a.txt', 'a.txt' ]);
+    expect( result.stdout ).to.equal( '' );
+    expect( result.status ).to.equal( 0 );
+  });
+
+  it('JSON in char mode', function(){
+    var result = run([ '--mode', 'char', '--format=json', 'a.txt', 'b.txt' ]);
+    expect( JSON.parse(result.stdout) ).to.deep.equal(
+      [ [ 0, 'one\ntwo ' ], [ -1, '🐶' ], [ 1, '🐱' ], [ 0, '\nthree\n' ] ]
+    );
+    expect( result.status ).to.equal( 1 );
+  });
+
+  it('Standard input', function(){
+    var result = run([ '-m', 'word', '-f', 'json', 'a.txt', '-' ], 'one\ntwo 🐶\nfour\n');
+    expect( JSON.parse(result.stdout) ).to.deep.equal(
+      [ [ 0, 'one\ntwo 🐶\n' ], [ -1, 'three' ], [ 1, 'four' ], [ 0, '\n' ] ]
+    );
+  });
+
+  it('Colored output', function(){
+    var result = run([ '-m', 'char', '-f', 'color', 'a.txt', 'b.txt' ]);
+    expect( result.stdout ).to.equal(
+      'one\ntwo \x1b[31m🐶\x1b[0m\x1b[32m🐱\x1b[0m\nthree\n'
+    );
+  });
+
+  it('Context lines', function(){
+    var result = run([ '-U', '0', 'a.txt', 'b.txt' ]);
+    expect( result.stdout ).to.equal(
+      '--- a.txt\n+++ b.txt\n@@ -2 +2 @@\n-two 🐶\n+two 🐱\n'
+    );
+  });
+
+  it('Errors', function(){
+    var result = run([ 'a.txt', 'missing.txt' ]);
+    expect( result.status ).to.equal( 2 );
+    expect( result.stderr ).to.match( /^fast-diff-astral: / );
+    expect( run([ '-m', 'bogus', 'a.txt', 'b.txt' ]).status ).to.equal( 2 );
+    expect( run([ '--bogus', 'a.txt', 'b.txt' ]).status ).to.equal( 2 );
+    expect( run([ 'a.txt' ]).status ).to.equal( 2 );
+    expect( run([ '-U', 'x', 'a.txt', 'b.txt' ]).status ).to.equal( 2 );
+  });
+
+  it('Help', function(){
+    var result = run([ '--help' ]);
+    expect( result.stdout ).to.match( /^Usage: fast-diff-astral/ );
+    expect( result.status ).to.equal( 0 );
+  });
+
+});
@@ -0,0 +1,57 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+describe('Fast Diff Cursor', function() {
+
+  it('Insert at the cursor', function(){
+    expect( diff('aa', 'aaa') ).to.deep.equal( [ [ 0, 'aa' ], [ 1, 'a' ] ] );
+    expect( diff('aa', 'aaa', { cursorPos: 0 }) )
+      .to.deep.equal( [ [ 1, 'a' ], [ 0, 'aa' ] ] );
+    expect( diff('aa', 'aaa', { cursorPos: 1 }) )
+      .to.deep.equal( [ [ 0, 'a' ], [ 1, 'a' ], [ 0, 'a' ] ] );
+  });
+
+  it('Backspace and forward delete', function(){
+    expect( diff('aaa', 'aa', { cursorPos: 1 }) )
+      .to.deep.equal( [ [ -1, 'a' ], [ 0, 'aa' ] ] );
+    var ranges = {
+      oldRange: { index: 1, length: 0 },
+      newRange: { index: 1, length: 0 }
+    };
+    expect( diff('aaa', 'aa', { cursorPos: ranges }) )
+      .to.deep.equal( [ [ 0, 'a' ], [ -1, 'a' ], [ 0, 'a' ] ] );
+  });
+
+  it('Replace a selection', function(){
+    var ranges = {
+      oldRange: { index: 2, length: 3 },
+      newRange: { index: 3, length: 0 }
+    };
+    expect( diff('abcabc', 'abXc', { cursorPos: ranges }) )
+      .to.deep.equal( [ [ 0, 'ab' ], [ -1, 'cab' ], [ 1, 'X' ], [ 0, 'c' ] ] );
+  });
+
+  it('Cursor counts code points', function(){
+    expect( diff('🐶🐶', '🐶🐶🐶', { cursorPos: 1 }) )
+      .to.deep.equal( [ [ 0, '🐶' ], [ 1, '🐶' ], [ 0, '🐶' ] ] );
+  });
+
+  it('Edits away from the cursor', function(){
+    expect( diff('abc', 'xbz', { cursorPos: 1 }) ).to.deep.equal( diff('abc', 'xbz') );
+    expect( diff('abc', 'abc', { cursorPos: 1 }) ).to.deep.equal( [ [ 0, 'abc' ] ] );
+    expect( diff('abc', 'abcd', { cursorPos: 7 }) ).to.deep.equal( [ [ 0, 'abc' ], [ 1, 'd' ] ] );
+  });
+
+  it('Cleanup does not move the edit', function(){
+    expect( diff('a a', 'a a a', { cursorPos: 1, cleanup: 'semantic' }) )
+      .to.deep.equal( [ [ 0, 'a' ], [ 1, ' a' ], [ 0, ' a' ] ] );
+  });
+
+  it('Invalid cursor', function(){
+    expect( function() { diff('a', 'b', { cursorPos: 'start' }); } )
+      .to.throw(TypeError, /cursorPos/);
+    expect( function() { diff('a', 'b', { cursorPos: 0, mode: 'word' }); } )
+      .to.throw(Error, /char mode/);
+  });
+
+});
@@ -0,0 +1,66 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+describe('Fast Diff Delta', function() {
+
+  it('To delta', function(){
+    var diffs = [ [ 0, 'jump' ], [ -1, 's' ], [ 1, 'ed' ], [ 0, ' over ' ],
+                  [ -1, 'the' ], [ 1, 'a' ], [ 0, ' lazy' ], [ 1, 'old dog' ] ];
+    expect( diff.toDelta(diffs) ).to.equal( '=4\t-1\t+ed\t=6\t-3\t+a\t=5\t+old dog' );
+    expect( diff.toDelta([]) ).to.equal( '' );
+  });
+
+  it('Lengths count code points', function(){
+    var diffs = [ [ 0, '🐶🐶' ], [ -1, '𠀀' ], [ 1, '🐯' ], [ 0, 'x' ] ];
+    var delta = diff.toDelta(diffs);
+    expect( delta ).to.equal( '=2\t-1\t+%F0%9F%90%AF\t=1' );
+    expect( diff.fromDelta('🐶🐶𠀀x', delta) ).to.deep.equal( diffs );
+  });
+
+  it('Special characters', function(){
+    var diffs = [ [ 0, 'ڀ \x00 \t %' ], [ -1, 'ځ \x01 \n ^' ],
+                  [ 1, 'ڂ \x02 \\ |' ] ];
+    var delta = diff.toDelta(diffs);
+    expect( delta ).to.equal( '=7\t-7\t+%DA%82 %02 %5C %7C' );
+    expect( diff.fromDelta('ڀ \x00 \t %ځ \x01 \n ^', delta) )
+      .to.deep.equal( diffs );
+  });
+
+  it('Unpaired surrogates', function(){
+    var diffs = diff('ab', 'a\uD83Db');
+    var delta = diff.toDelta(diffs);
+    expect( delta ).to.equal( '=1\t+%uD83D\t=1' );
+    expect( diff.fromDelta('ab', delta) ).to.deep.equal( diffs );
+    expect( function() { diff.fromDelta('ab', '=1\t+%u0041\t=1'); } )
+      .to.throw(Error, /Illegal escape/);
+  });
+
+  it('Round trip', function(){
+    var text1 = 'The 🐶 jumps over the lazy 🐱.';
+    var text2 = 'That 🐯 jumped over a lazy 🐱!';
+    var diffs = diff(text1, text2);
+    expect( diff.fromDelta(text1, diff.toDelta(diffs)) ).to.deep.equal( diffs );
+  });
+
+  it('Delta does not match the text', function(){
+    expect( function() { diff.fromDelta('abc', '=4'); } )
+      .to.throw(Error, /past the end/);
+    expect( function() { diff.fromDelta('abcd', '=3'); } )
+      .to.throw(Error, /does not equal source text length/);
+    // Astral symbols are one code point, even though they are two UTF-16 units.
+    expect( function() { diff.fromDelta('🐶', '=2'); } )
+      .to.throw(Error, /past the end/);
+  });
+
+  it('Invalid deltas', function(){
+    expect( function() { diff.fromDelta('abc', '=x'); } )
+      .to.throw(Error, /Invalid number/);
+    expect( function() { diff.fromDelta('abc', '=-1\t=4'); } )
+      .to.throw(Error, /Invalid number/);
+    expect( function() { diff.fromDelta('abc', '*3'); } )
+      .to.throw(Error, /Invalid diff operation/);
+    expect( function() { diff.fromDelta('abc', '=3\t+%c3%xy'); } )
+      .to.throw(Error, /Illegal escape/);
+  });
+
+});
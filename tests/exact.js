@@ -0,0 +1,160 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+var EXACTS = [true, 'linear'];
+
+function random(seed) {
+  return function(n) {
+    seed = (seed * 9301 + 49297) % 233280;
+    return Math.floor(seed / 233280 * n);
+  };
+}
+
+function randomSymbols(length, alphabet, r) {
+  var symbols = [];
+  for (var i = 0; i < length; i++) {
+    symbols.push(alphabet[r(alphabet.length)]);
+  }
+  return symbols;
+}
+
+// Reference: the size of a minimal edit script, from the longest common
+// subsequence computed by dynamic programming.
+function minimalEdits(array1, array2, equals) {
+  var row = [];
+  for (var j = 0; j <= array2.length; j++) {
+    row.push(0);
+  }
+  for (var i = 1; i <= array1.length; i++) {
+    var diagonal = 0;
+    for (j = 1; j <= array2.length; j++) {
+      var above = row[j];
+      row[j] = (equals ? equals(array1[i - 1], array2[j - 1]) :
+                         array1[i - 1] === array2[j - 1]) ?
+          diagonal + 1 : Math.max(row[j], row[j - 1]);
+      diagonal = above;
+    }
+  }
+  return array1.length + array2.length - 2 * row[array2.length];
+}
+
+function edits(diffs, split) {
+  return diffs.reduce(function(count, d) {
+    return d[0] === diff.EQUAL ? count : count + split(d[1]).length;
+  }, 0);
+}
+
+function rebuild(diffs, op) {
+  return diffs.filter(function(d) { return d[0] !== op; })
+              .map(function(d) { return d[1]; }).join('');
+}
+
+function codePoints(text) {
+  return Array.from(text);
+}
+
+describe('Fast Diff Exact', function() {
+
+  it('Half match can give up minimality', function(){
+    var text1 = 'abbabbabbaa';
+    var text2 = 'aaaabbbba';
+    var expected = minimalEdits(codePoints(text1), codePoints(text2));
+    expect( edits(diff(text1, text2), codePoints) ).to.be.above( expected );
+    EXACTS.forEach(function(exact) {
+      expect( edits(diff(text1, text2, { exact: exact }), codePoints) )
+        .to.equal( expected );
+    });
+  });
+
+  EXACTS.forEach(function(exact) {
+
+    it('Minimal on random strings with exact ' + exact, function(){
+      var r = random(5);
+      for (var i = 0; i < 500; i++) {
+        var alphabet = ['a', 'b', '💩', 'c'].slice(0, 2 + r(3));
+        var text1 = randomSymbols(r(30), alphabet, r).join('');
+        var text2 = randomSymbols(r(30), alphabet, r).join('');
+        var results = diff(text1, text2, { exact: exact });
+        expect( rebuild(results, diff.INSERT) ).to.equal( text1 );
+        expect( rebuild(results, diff.DELETE) ).to.equal( text2 );
+        expect( edits(results, codePoints) ).to.equal(
+          minimalEdits(codePoints(text1), codePoints(text2)),
+          JSON.stringify([text1, text2]));
+      }
+    });
+
+    it('Minimal over lines with exact ' + exact, function(){
+      var r = random(7);
+      var lines = function(text) { return text.match(/[^\n]*\n/g) || []; };
+      for (var i = 0; i < 200; i++) {
+        var alphabet = ['{\n', '}\n', '\n', 'a\n', 'b\n'];
+        var text1 = randomSymbols(r(30), alphabet, r).join('');
+        var text2 = randomSymbols(r(30), alphabet, r).join('');
+        var results = diff(text1, text2, { mode: 'line', exact: exact });
+        expect( rebuild(results, diff.INSERT) ).to.equal( text1 );
+        expect( rebuild(results, diff.DELETE) ).to.equal( text2 );
+        expect( edits(results, lines) ).to.equal(
+          minimalEdits(lines(text1), lines(text2)));
+      }
+    });
+
+    it('Minimal on arrays with a custom equals with exact ' + exact, function(){
+      var r = random(11);
+      var equals = function(a, b) { return a.id === b.id; };
+      var toObject = function(id) { return { id: id }; };
+      for (var i = 0; i < 200; i++) {
+        var array1 = randomSymbols(r(25), [1, 2, 3], r).map(toObject);
+        var array2 = randomSymbols(r(25), [1, 2, 3], r).map(toObject);
+        var results = diff.arrays(array1, array2, { equals: equals, exact: exact });
+        expect( edits(results, function(a) { return a; }) ).to.equal(
+          minimalEdits(array1, array2, equals));
+      }
+    });
+
+  });
+
+  it('Linear variant diffs long texts', function(){
+    var r = random(1);
+    var text1 = randomSymbols(200000, ['G', 'A', 'T', 'C'], r);
+    var text2 = text1.slice();
+    for (var i = 0; i < 50; i++) {
+      text2[r(text2.length)] = 'X';
+    }
+    text1 = text1.join('');
+    text2 = text2.join('');
+    var results = diff(text1, text2, { exact: 'linear' });
+    expect( rebuild(results, diff.INSERT) ).to.equal( text1 );
+    expect( rebuild(results, diff.DELETE) ).to.equal( text2 );
+    expect( edits(results, codePoints) ).to.equal(
+      edits(diff(text1, text2, { exact: true }), codePoints));
+  });
+
+  it('Linear variant reports the deadline', function(){
+    var r = random(3);
+    var text1 = randomSymbols(2000, ['G', 'A', 'T', 'C'], r).join('');
+    var text2 = randomSymbols(2000, ['G', 'A', 'T', 'C'], r).join('');
+    var results = diff(text1, text2, { exact: 'linear', deadline: 0 });
+    expect( results.truncated ).to.equal( true );
+    expect( rebuild(results, diff.INSERT) ).to.equal( text1 );
+    expect( rebuild(results, diff.DELETE) ).to.equal( text2 );
+  });
+
+  it('Unknown exact mode', function(){
+    expect(function() {
+      diff('a', 'b', { exact: 'quadratic' });
+    }).to.throw('Unknown exact mode: quadratic');
+  });
+
+  it('Exact needs the myers algorithm', function(){
+    expect(function() {
+      diff('a', 'b', { exact: true, algorithm: 'patience' });
+    }).to.throw('options.exact can only be used with the myers algorithm');
+  });
+
+  it('Exact cannot be combined with a cursor position', function(){
+    expect(function() {
+      diff('a', 'b', { exact: true, cursorPos: 0 });
+    }).to.throw('options.cursorPos cannot be combined with options.exact');
+  });
+
+});
@@ -0,0 +1,72 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+describe('Fast Diff Grapheme', function() {
+
+  it('Code point granularity splits clusters', function(){
+    var text1 = 'e\u0301';
+    var text2 = 'e\u0300';
+    var results = diff(text1,text2);
+    var expected = [ [ 0, 'e' ], [ -1, '\u0301' ], [ 1, '\u0300' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Combining marks', function(){
+    var text1 = 'e\u0301';
+    var text2 = 'e\u0300';
+    var results = diff(text1,text2, { granularity: 'grapheme' });
+    var expected = [ [ -1, 'e\u0301' ], [ 1, 'e\u0300' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Family emoji', function(){
+    var text1 = 'We are 👨‍👩‍👧';
+    var text2 = 'We are 👨‍👩‍👦';
+    var results = diff(text1,text2, { granularity: 'grapheme' });
+    var expected = [ [ 0, 'We are ' ],
+                     [ -1, '👨‍👩‍👧' ],
+                     [ 1, '👨‍👩‍👦' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Flags', function(){
+    var text1 = '🇯🇵🇺🇸';
+    var text2 = '🇯🇲🇺🇸';
+    var results = diff(text1,text2, { granularity: 'grapheme' });
+    var expected = [ [ -1, '🇯🇵' ], [ 1, '🇯🇲' ], [ 0, '🇺🇸' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Skin tone modifiers', function(){
+    var text1 = 'ok 👍🏻';
+    var text2 = 'ok 👍🏽';
+    var results = diff(text1,text2, { granularity: 'grapheme' });
+    var expected = [ [ 0, 'ok ' ], [ -1, '👍🏻' ], [ 1, '👍🏽' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Hangul jamo', function(){
+    // Conjoining jamo: G + A + G and G + A + N
+    var text1 = '\u1100\u1161\u11A8\u1100\u1161';
+    var text2 = '\u1100\u1161\u11AB\u1100\u1161';
+    var results = diff(text1,text2, { granularity: 'grapheme' });
+    var expected = [ [ -1, '\u1100\u1161\u11A8' ],
+                     [ 1, '\u1100\u1161\u11AB' ],
+                     [ 0, '\u1100\u1161' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Devanagari', function(){
+    var text1 = 'हिंदी';
+    var text2 = 'हिंदू';
+    var results = diff(text1,text2, { granularity: 'grapheme' });
+    var expected = [ [ 0, 'हिं' ], [ -1, 'दी' ], [ 1, 'दू' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Unknown granularity', function(){
+    expect( function() { diff('a', 'b', { granularity: 'word' }); } )
+      .to.throw(Error, /granularity/);
+  });
+
+});
@@ -0,0 +1,133 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+// Minimal RFC 6902 application of add, remove and replace operations.
+function applyPatch(doc, patch) {
+  doc = JSON.parse(JSON.stringify(doc));
+  patch.forEach(function(operation) {
+    if (operation.path === '') {
+      doc = operation.value;
+      return;
+    }
+    var keys = operation.path.split('/').slice(1).map(function(key) {
+      return key.replace(/~1/g, '/').replace(/~0/g, '~');
+    });
+    var last = keys.pop();
+    var parent = keys.reduce(function(value, key) { return value[key]; }, doc);
+    if (Array.isArray(parent)) {
+      var index = Number(last);
+      var removed = operation.op === 'add' ? 0 : 1;
+      if (operation.op === 'remove') {
+        parent.splice(index, removed);
+      } else {
+        parent.splice(index, removed, operation.value);
+      }
+    } else if (operation.op === 'remove') {
+      delete parent[last];
+    } else {
+      parent[last] = operation.value;
+    }
+  });
+  return doc;
+}
+
+function byId(item) {
+  return item.id;
+}
+
+describe('Fast Diff JSON', function() {
+
+  var a = { name: 'fast diff', tags: [ 'a', 'b', 'c' ],
+            items: [ { id: 1, v: 'x' }, { id: 2, v: 'y' } ], 'a/b~': 1, gone: true };
+  var b = { name: 'fast diffs', tags: [ 'a', 'c', 'd' ],
+            items: [ { id: 2, v: 'z' }, { id: 1, v: 'x' } ], 'a/b~': 2, n: null };
+
+  it('Equal values', function(){
+    expect( diff.json(a, JSON.parse(JSON.stringify(a))) ).to.deep.equal( [] );
+    expect( diff.json(a, a, { format: 'delta' }) ).to.equal( undefined );
+  });
+
+  it('JSON Patch', function(){
+    expect( diff.json(a, b) ).to.deep.equal([
+      { op: 'remove', path: '/gone' },
+      { op: 'replace', path: '/name', value: 'fast diffs' },
+      { op: 'remove', path: '/tags/1' },
+      { op: 'add', path: '/tags/2', value: 'd' },
+      { op: 'add', path: '/items/0', value: { id: 2, v: 'z' } },
+      { op: 'remove', path: '/items/2' },
+      { op: 'replace', path: '/a~1b~0', value: 2 },
+      { op: 'add', path: '/n', value: null }
+    ]);
+    expect( applyPatch(a, diff.json(a, b)) ).to.deep.equal( b );
+  });
+
+  it('Object identity', function(){
+    var patch = diff.json(a, b, { objectHash: byId });
+    expect( patch ).to.deep.include( { op: 'replace', path: '/items/0/v', value: 'z' } );
+    expect( applyPatch(a, patch) ).to.deep.equal( b );
+  });
+
+  it('Different types', function(){
+    expect( diff.json([ 1 ], { 0: 1 }) ).to.deep.equal( [ { op: 'replace', path: '', value: { 0: 1 } } ] );
+    expect( diff.json({ x: [ 1 ] }, { x: 'one' }) ).to.deep.equal( [ { op: 'replace', path: '/x', value: 'one' } ] );
+  });
+
+  it('Patches apply', function(){
+    var pairs = [
+      [ [ 1, 2, 3, 4, 5 ], [ 0, 1, 3, 5, 6 ] ],
+      [ [ [ 1, 2 ], [ 3 ] ], [ [ 3 ], [ 1, 2 ], [] ] ],
+      [ { a: { b: { c: [ 'x', 'y' ] } } }, { a: { b: { c: [ 'y', 'x', 'z' ] }, d: 1 } } ],
+      [ [ { id: 1, t: [ 1 ] }, { id: 2 }, { id: 3 } ], [ { id: 3, x: 1 }, { id: 1, t: [ 2, 1 ] } ] ],
+      [ '🐶', [ '🐶' ] ]
+    ];
+    pairs.forEach(function(pair) {
+      expect( applyPatch(pair[0], diff.json(pair[0], pair[1])) ).to.deep.equal( pair[1] );
+      var patch = diff.json(pair[0], pair[1], { objectHash: byId });
+      expect( applyPatch(pair[0], patch) ).to.deep.equal( pair[1] );
+    });
+  });
+
+  it('Delta', function(){
+    expect( diff.json(a, b, { format: 'delta', objectHash: byId }) ).to.deep.equal({
+      op: 'object',
+      changes: {
+        gone: { op: 'remove', value: true },
+        name: { op: 'text', diffs: [ [ 0, 'fast diff' ], [ 1, 's' ] ] },
+        tags: {
+          op: 'array',
+          diffs: [ [ 0, [ 'a' ] ], [ -1, [ 'b' ] ], [ 0, [ 'c' ] ], [ 1, [ 'd' ] ] ],
+          changes: {}
+        },
+        items: {
+          op: 'array',
+          diffs: [ [ -1, [ { id: 1, v: 'x' } ] ], [ 0, [ { id: 2, v: 'z' } ] ], [ 1, [ { id: 1, v: 'x' } ] ] ],
+          changes: {
+            0: { op: 'object', changes: { v: { op: 'text', diffs: [ [ -1, 'y' ], [ 1, 'z' ] ] } } }
+          }
+        },
+        'a/b~': { op: 'replace', oldValue: 1, value: 2 },
+        n: { op: 'add', value: null }
+      }
+    });
+  });
+
+  it('Delta text options', function(){
+    var delta = diff.json({ s: 'a big cat' }, { s: 'a cat' }, { format: 'delta', text: { mode: 'word' } });
+    expect( delta.changes.s.diffs ).to.deep.equal( [ [ 0, 'a ' ], [ -1, 'big ' ], [ 0, 'cat' ] ] );
+  });
+
+  it('Element comparison', function(){
+    // Elements are compared deeply, not by reference.
+    var patch = diff.json([ { x: [ 1 ] }, { y: 2 } ], [ { y: 2 } ]);
+    expect( patch ).to.deep.equal( [ { op: 'remove', path: '/0' } ] );
+    expect( applyPatch([ { x: [ 1 ] }, { y: 2 } ], patch) ).to.deep.equal( [ { y: 2 } ] );
+  });
+
+  it('Invalid options', function(){
+    expect( function() { diff.json(1, 2, { format: 'merge' }); } )
+      .to.throw(Error, /Unknown format/);
+    expect( function() { diff.json(1, 2, { objectHash: 'id' }); } )
+      .to.throw(TypeError);
+  });
+
+});
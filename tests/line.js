@@ -0,0 +1,73 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+describe('Fast Diff Line Mode', function() {
+
+  it('Whole lines', function(){
+    var text1 = 'alpha\nbeta\ngamma\n';
+    var text2 = 'alpha\nBeta\ngamma\ndelta';
+    var results = diff(text1,text2, { mode: 'line' });
+    var expected = [ [ 0, 'alpha\n' ],
+                     [ -1, 'beta\n' ],
+                     [ 1, 'Beta\n' ],
+                     [ 0, 'gamma\n' ],
+                     [ 1, 'delta' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Refined lines', function(){
+    var text1 = 'alpha\nbeta\ngamma\n';
+    var text2 = 'alpha\nBeta\ngamma\ndelta';
+    var results = diff(text1,text2, { mode: 'line', refine: true });
+    var expected = [ [ 0, 'alpha\n' ],
+                     [ -1, 'b' ],
+                     [ 1, 'B' ],
+                     [ 0, 'eta\ngamma\n' ],
+                     [ 1, 'delta' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Refined lines keep astral symbols', function(){
+    var text1 = 'pets\n🐶 dog\n';
+    var text2 = 'pets\n🐯 dog\n';
+    var results = diff(text1,text2, { mode: 'line', refine: true });
+    var expected = [ [ 0, 'pets\n' ],
+                     [ -1, '🐶' ],
+                     [ 1, '🐯' ],
+                     [ 0, ' dog\n' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Empty texts', function(){
+    expect( diff('', '', { mode: 'line' }) ).to.deep.equal( [] );
+    expect( diff('', 'a\nb', { mode: 'line' }) ).to.deep.equal( [ [ 1, 'a\nb' ] ] );
+    expect( diff('a\n', '', { mode: 'line', refine: true }) )
+      .to.deep.equal( [ [ -1, 'a\n' ] ] );
+  });
+
+  it('Large texts', function(){
+    var lines1 = [];
+    var lines2 = [];
+    for (var i = 0; i < 5000; i++) {
+      var line = 'line ' + (i % 50) + ' of ' + i + '\n';
+      lines1.push(line);
+      lines2.push(i % 500 === 0 ? 'changed ' + line : line);
+    }
+    var results = diff(lines1.join(''), lines2.join(''), { mode: 'line' });
+    expect( results.length ).to.equal( 30 );
+    var text1 = '';
+    var text2 = '';
+    results.forEach(function(d) {
+      if (d[0] !== 1) text1 += d[1];
+      if (d[0] !== -1) text2 += d[1];
+    });
+    expect( text1 ).to.equal( lines1.join('') );
+    expect( text2 ).to.equal( lines2.join('') );
+  });
+
+  it('Unknown mode', function(){
+    expect( function() { diff('a', 'b', { mode: 'paragraph' }); } )
+      .to.throw(Error, /mode/);
+  });
+
+});
@@ -0,0 +1,63 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+describe('Fast Diff Match', function() {
+
+  it('Shortcut matches', function(){
+    expect( diff.match('abcdef', 'abcdef', 1000) ).to.equal( 0 );
+    expect( diff.match('', 'abcdef', 1) ).to.equal( -1 );
+    expect( diff.match('abcdef', '', 3) ).to.equal( 3 );
+    expect( diff.match('abcdef', 'de', 3) ).to.equal( 3 );
+  });
+
+  it('Fuzzy matches', function(){
+    expect( diff.match('abcdef', 'defy', 4) ).to.equal( 3 );
+    expect( diff.match('abcdef', 'abcdefy', 0) ).to.equal( 0 );
+    expect( diff.match('I am the very model of a modern major general.',
+                       ' that berry ', 5, { threshold: 0.7 }) ).to.equal( 4 );
+  });
+
+  it('Locations count code points', function(){
+    expect( diff.match('🐶🐱🐭 abc 🐹🐰 def', '🐹🐰 daf', 0) ).to.equal( 8 );
+    expect( diff.match('𠀀𠀁𠀂𠀃 test', '𠀂𠀃 tset', 0) ).to.equal( 2 );
+  });
+
+  it('Threshold', function(){
+    expect( diff.match('abcdefghijk', 'efxhi', 1, { threshold: 0.4 }) ).to.equal( 4 );
+    expect( diff.match('abcdefghijk', 'efxyhi', 1, { threshold: 0.3 }) ).to.equal( -1 );
+    expect( diff.match('abcdefghijk', 'bcdef', 1, { threshold: 0 }) ).to.equal( 1 );
+  });
+
+  it('Distance', function(){
+    expect( diff.match('abcdefghijklmnopqrstuvwxyz', 'abcdefg', 24,
+                       { threshold: 0.5, distance: 10 }) ).to.equal( -1 );
+    expect( diff.match('abcdefghijklmnopqrstuvwxyz', 'abcdxxefg', 1,
+                       { threshold: 0.5, distance: 10 }) ).to.equal( 0 );
+    expect( diff.match('abcdefghijklmnopqrstuvwxyz', 'abcdefg', 24,
+                       { threshold: 0.5, distance: 1000 }) ).to.equal( 0 );
+  });
+
+  it('Patterns longer than 32 symbols', function(){
+    var pattern = 'The quick 🐶 brown fox jumps over the lazy dog, then 🐱 naps.';
+    var text = 'Once upon a time. ' + pattern.replace('lazy', 'lazzy') + ' The end.';
+    expect( diff.match(text, pattern, 0) ).to.equal( 18 );
+    var garbled = pattern.replace(/o/g, '0').replace(/e/g, '3').replace(/a/g, '4');
+    expect( diff.match(text, garbled, 0) ).to.equal( 18 );
+    expect( diff.match(text, garbled, 0, { threshold: 0.2 }) ).to.equal( -1 );
+    expect( diff.match('Once upon a time.', pattern, 0) ).to.equal( -1 );
+  });
+
+  it('Invalid options', function(){
+    expect( function() { diff.match('abc', 'b', 0, { threshold: 2 }); } )
+      .to.throw(TypeError, /threshold/);
+    expect( function() { diff.match('abc', 'b', 0, { distance: -1 }); } )
+      .to.throw(TypeError, /distance/);
+    expect( function() { diff.match('abc', null); } ).to.throw(TypeError);
+    ['x', -1, 1.5, NaN, Infinity].forEach(function(loc) {
+      expect( function() { diff.match('abc', 'b', loc); } )
+        .to.throw(TypeError, 'loc must be a non-negative integer');
+    });
+    expect( diff.match('abc', 'c', 10) ).to.equal( 2 );
+  });
+
+});
@@ -0,0 +1,87 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+describe('Fast Diff Merge', function() {
+
+  var base = 'one\ntwo\nthree\nfour\n';
+
+  it('Non-overlapping changes', function(){
+    var result = diff.merge3(base, 'zero\none\nTWO\nthree\nfour\n', 'one\ntwo\nthree\nFOUR\n');
+    expect( result.conflicts ).to.deep.equal( [] );
+    expect( result.text ).to.equal( 'zero\none\nTWO\nthree\nFOUR\n' );
+    expect( result.chunks ).to.deep.equal( [ { op: 'ok', text: result.text } ] );
+  });
+
+  it('Changes on one side', function(){
+    expect( diff.merge3(base, base, 'one\nthree\n').text ).to.equal( 'one\nthree\n' );
+    expect( diff.merge3(base, 'one\nthree\n', base).text ).to.equal( 'one\nthree\n' );
+    expect( diff.merge3(base, base, base).text ).to.equal( base );
+  });
+
+  it('Identical changes', function(){
+    var result = diff.merge3(base, 'one\n2\nthree\n', 'one\n2\nthree\n');
+    expect( result.conflicts ).to.deep.equal( [] );
+    expect( result.text ).to.equal( 'one\n2\nthree\n' );
+  });
+
+  it('Conflicts', function(){
+    var result = diff.merge3(base, 'one\nTWO\nthree\nfour\n', 'one\n2\nthree\nfour\n');
+    var conflict = { op: 'conflict', base: 'two\n', ours: 'TWO\n', theirs: '2\n' };
+    expect( result.chunks ).to.deep.equal([
+      { op: 'ok', text: 'one\n' },
+      conflict,
+      { op: 'ok', text: 'three\nfour\n' }
+    ]);
+    expect( result.conflicts ).to.deep.equal( [ conflict ] );
+    expect( result.text ).to.equal( null );
+  });
+
+  it('Modify and delete conflict', function(){
+    var result = diff.merge3(base, 'one\nthree\nfour\n', 'one\ntwo 2\nthree\nfour\n');
+    expect( result.conflicts ).to.deep.equal(
+      [ { op: 'conflict', base: 'two\n', ours: '', theirs: 'two 2\n' } ]
+    );
+  });
+
+  it('Insertions at the same place conflict', function(){
+    var result = diff.merge3(base, base + 'five\n', base + 'six\n');
+    expect( result.conflicts ).to.deep.equal(
+      [ { op: 'conflict', base: '', ours: 'five\n', theirs: 'six\n' } ]
+    );
+  });
+
+  it('Conflict markers', function(){
+    var ours = 'one\nTWO\nthree\nfour\n';
+    var theirs = 'one\n2\nthree\nfour\n';
+    expect( diff.merge3(base, ours, theirs, { markers: true }).text ).to.equal(
+      'one\n<<<<<<< ours\nTWO\n=======\n2\n>>>>>>> theirs\nthree\nfour\n'
+    );
+    var markers = { ours: 'HEAD', theirs: 'feature' };
+    expect( diff.merge3(base, ours, theirs, { markers: markers }).text ).to.equal(
+      'one\n<<<<<<< HEAD\nTWO\n=======\n2\n>>>>>>> feature\nthree\nfour\n'
+    );
+    // Markers are always on lines of their own.
+    expect( diff.merge3('a', 'b', 'c', { markers: true }).text ).to.equal(
+      '<<<<<<< ours\nb\n=======\nc\n>>>>>>> theirs\n'
+    );
+  });
+
+  it('Word mode', function(){
+    var result = diff.merge3('The cat sat.', 'The big cat sat.', 'The cat sat down.', { mode: 'word' });
+    expect( result.text ).to.equal( 'The big cat sat down.' );
+    result = diff.merge3('The cat sat.', 'The dog sat.', 'The cow sat.', { mode: 'word' });
+    expect( result.conflicts ).to.deep.equal(
+      [ { op: 'conflict', base: 'cat', ours: 'dog', theirs: 'cow' } ]
+    );
+  });
+
+  it('Char mode keeps surrogate pairs', function(){
+    var result = diff.merge3('🐶🐱', '🐶🐭🐱', '🐶🐱🐹', { mode: 'char' });
+    expect( result.text ).to.equal( '🐶🐭🐱🐹' );
+  });
+
+  it('Invalid arguments', function(){
+    expect( function() { diff.merge3('a', 'b'); } ).to.throw(TypeError);
+  });
+
+});
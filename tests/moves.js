@@ -0,0 +1,154 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+var FOX = 'The quick brown fox jumps over the lazy dog.\n';
+var LOREM = 'Lorem ipsum dolor sit amet.\nConsectetur adipiscing elit.\n';
+
+describe('Fast Diff Moves', function() {
+
+  it('No moves unless asked for', function(){
+    var results = diff(FOX + LOREM, LOREM + FOX, { mode: 'line' });
+    expect( results ).to.deep.equal([
+      [diff.DELETE, FOX],
+      [diff.EQUAL, LOREM],
+      [diff.INSERT, FOX]
+    ]);
+  });
+
+  it('Moved paragraph', function(){
+    var results = diff(FOX + LOREM, LOREM + FOX, { mode: 'line', moves: true });
+    expect( results ).to.deep.equal([
+      [diff.MOVE, FOX, { to: 2 }],
+      [diff.EQUAL, LOREM],
+      [diff.MOVE, FOX, { from: 0 }]
+    ]);
+  });
+
+  it('Moved paragraph in char mode', function(){
+    var results = diff(FOX + LOREM, LOREM + FOX, { moves: true });
+    expect( results ).to.deep.equal([
+      [diff.MOVE, FOX, { to: 2 }],
+      [diff.EQUAL, LOREM],
+      [diff.MOVE, FOX, { from: 0 }]
+    ]);
+  });
+
+  it('Moved upwards', function(){
+    var results = diff(LOREM + FOX + 'end\n', FOX + LOREM + 'end\n', {
+      mode: 'line', moves: { minLength: 10 }
+    });
+    expect( results[0] ).to.deep.equal( [diff.MOVE, FOX, { from: 2 }] );
+    expect( results[2] ).to.deep.equal( [diff.MOVE, FOX, { to: 0 }] );
+  });
+
+  it('Short blocks are not moved', function(){
+    var results = diff('ab\n' + LOREM, LOREM + 'ab\n', { mode: 'line', moves: true });
+    expect( results ).to.deep.equal([
+      [diff.DELETE, 'ab\n'],
+      [diff.EQUAL, LOREM],
+      [diff.INSERT, 'ab\n']
+    ]);
+    results = diff('ab\n' + LOREM, LOREM + 'ab\n', {
+      mode: 'line', moves: { minLength: 3 }
+    });
+    expect( results[0][0] ).to.equal( diff.MOVE );
+  });
+
+  it('Replacements are not moves', function(){
+    var results = diff('a' + FOX, 'b' + FOX.replace('lazy', 'sleepy'), {
+      mode: 'line', moves: { similarity: 0.5 }
+    });
+    expect( results.map(function(d) { return d[0]; }) )
+      .to.deep.equal( [diff.DELETE, diff.INSERT] );
+  });
+
+  it('Near-identical blocks with a similarity', function(){
+    var moved = FOX.replace('lazy', 'sleepy');
+    var results = diff(FOX + LOREM, LOREM + moved, { mode: 'line', moves: true });
+    expect( results[0][0] ).to.equal( diff.DELETE );
+
+    results = diff(FOX + LOREM, LOREM + moved, {
+      mode: 'line', moves: { similarity: 0.8 }
+    });
+    expect( results ).to.deep.equal([
+      [diff.MOVE, FOX, { to: 2 }],
+      [diff.EQUAL, LOREM],
+      [diff.MOVE, moved, { from: 0 }]
+    ]);
+  });
+
+  it('Identical blocks are preferred', function(){
+    var moved = FOX.replace('lazy', 'sleepy');
+    var results = diff(FOX + 'A\n' + LOREM, 'A\n' + moved + LOREM + FOX, {
+      mode: 'line', moves: { similarity: 0.8 }
+    });
+    expect( results ).to.deep.equal([
+      [diff.MOVE, FOX, { to: 4 }],
+      [diff.EQUAL, 'A\n'],
+      [diff.INSERT, moved],
+      [diff.EQUAL, LOREM],
+      [diff.MOVE, FOX, { from: 0 }]
+    ]);
+  });
+
+  it('Only identical blocks are paired after the deadline', function(){
+    var moved = FOX.replace('lazy', 'sleepy');
+    // Patience anchors these lines without needing the deadline.
+    var options = {
+      mode: 'line', algorithm: 'patience', moves: { similarity: 0.8 },
+      deadline: 0
+    };
+    var results = diff(FOX + LOREM, LOREM + moved, options);
+    expect( results.map(function(d) { return d[0]; }) )
+      .to.deep.equal( [diff.DELETE, diff.EQUAL, diff.INSERT] );
+    expect( results.truncated ).to.equal( true );
+
+    results = diff(FOX + LOREM, LOREM + FOX, options);
+    expect( results[0] ).to.deep.equal( [diff.MOVE, FOX, { to: 2 }] );
+    expect( results.truncated ).to.equal( false );
+  });
+
+  it('Texts and ranges with moves', function(){
+    var text1 = FOX + LOREM;
+    var text2 = LOREM + FOX.replace('lazy', 'sleepy');
+    var options = { mode: 'line', moves: { similarity: 0.8 } };
+    var results = diff(text1, text2, options);
+    expect( diff.text1(results) ).to.equal( text1 );
+    expect( diff.text2(results) ).to.equal( text2 );
+
+    options.output = 'ranges';
+    expect( diff(text1, text2, options) ).to.deep.equal([
+      { op: diff.MOVE, start1: 0, end1: 45, start2: 0, end2: 0, to: 2 },
+      { op: diff.EQUAL, start1: 45, end1: 102, start2: 0, end2: 57 },
+      { op: diff.MOVE, start1: 102, end1: 102, start2: 57, end2: 104, from: 0 }
+    ]);
+  });
+
+  it('Patches, deltas and renderers see deletions and insertions', function(){
+    var text1 = FOX + LOREM;
+    var text2 = LOREM + FOX;
+    var results = diff(text1, text2, { mode: 'line', moves: true });
+    var plain = [
+      [diff.DELETE, FOX],
+      [diff.EQUAL, LOREM],
+      [diff.INSERT, FOX]
+    ];
+    expect( diff.patch.make(results) ).to.deep.equal( diff.patch.make(plain) );
+    expect( diff.patch.apply(diff.patch.make(results), text1)[0] ).to.equal( text2 );
+    expect( diff.toDelta(results) ).to.equal( diff.toDelta(plain) );
+    expect( diff.text2(diff.fromDelta(text1, diff.toDelta(results))) ).to.equal( text2 );
+    expect( diff.render.unified(results) ).to.equal( diff.render.unified(plain) );
+    expect( diff.render.html(results) ).to.equal( diff.render.html(plain) );
+    expect( diff.render.ansi(results) ).to.equal( diff.render.ansi(plain) );
+  });
+
+  it('Invalid move options', function(){
+    expect(function() {
+      diff('a', 'b', { moves: { minLength: -1 } });
+    }).to.throw('options.moves.minLength must be a non-negative number');
+    expect(function() {
+      diff('a', 'b', { moves: { similarity: 0 } });
+    }).to.throw('options.moves.similarity must be a number above 0 and at most 1');
+  });
+
+});
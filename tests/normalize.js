@@ -0,0 +1,205 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+var COMPOSED = 'café crème';
+var DECOMPOSED = 'cafe\u0301 cre\u0300me';
+
+describe('Fast Diff Normalize', function() {
+
+  it('Composed and decomposed characters differ by default', function(){
+    var results = diff(COMPOSED, DECOMPOSED);
+    expect( results.length ).to.be.above( 1 );
+  });
+
+  it('Composed and decomposed characters are equal under NFC', function(){
+    expect( diff(COMPOSED, DECOMPOSED, { normalize: 'NFC' }) )
+      .to.deep.equal( [[diff.EQUAL, COMPOSED, { text2: DECOMPOSED }]] );
+    expect( diff(DECOMPOSED, COMPOSED, { normalize: 'NFD' }) )
+      .to.deep.equal( [[diff.EQUAL, DECOMPOSED, { text2: COMPOSED }]] );
+  });
+
+  it('Changes next to normalized characters', function(){
+    var results = diff(COMPOSED, 'cafe\u0301 cre\u0300mes', { normalize: 'NFC' });
+    expect( results ).to.deep.equal([
+      [diff.EQUAL, COMPOSED, { text2: DECOMPOSED }],
+      [diff.INSERT, 's']
+    ]);
+    results = diff(COMPOSED, 'cafe\u0301 cre\u0301me', { normalize: 'NFC' });
+    expect( results ).to.deep.equal([
+      [diff.EQUAL, 'café cr', { text2: 'cafe\u0301 cr' }],
+      [diff.DELETE, 'è'],
+      [diff.INSERT, 'e\u0301'],
+      [diff.EQUAL, 'me']
+    ]);
+  });
+
+  it('Compatibility characters are equal under NFKC in word mode', function(){
+    expect( diff('\uFB01ne', 'fine', { mode: 'word', normalize: 'NFKC' }) )
+      .to.deep.equal( [[diff.EQUAL, '\uFB01ne', { text2: 'fine' }]] );
+  });
+
+  it('Symbols output contains the original symbols', function(){
+    var results = diff(COMPOSED, DECOMPOSED, {
+      normalize: 'NFC', output: 'symbols', granularity: 'grapheme'
+    });
+    expect( results ).to.deep.equal([[
+      diff.EQUAL,
+      ['c', 'a', 'f', 'é', ' ', 'c', 'r', 'è', 'm', 'e'],
+      { text2: ['c', 'a', 'f', 'e\u0301', ' ', 'c', 'r', 'e\u0300', 'm', 'e'] }
+    ]]);
+  });
+
+  it('CRLF against LF line by line', function(){
+    var results = diff('a\r\nb\r\nc\r\n', 'a\nb\nd\n', {
+      mode: 'line', ignoreLineEndings: true
+    });
+    expect( results ).to.deep.equal([
+      [diff.EQUAL, 'a\r\nb\r\n', { text2: 'a\nb\n' }],
+      [diff.DELETE, 'c\r\n'],
+      [diff.INSERT, 'd\n']
+    ]);
+  });
+
+  it('CRLF against LF and CR in char mode', function(){
+    expect( diff('a\r\nb\r\n', 'a\nb\r', { ignoreLineEndings: true }) )
+      .to.deep.equal( [[diff.EQUAL, 'a\r\nb\r\n', { text2: 'a\nb\r' }]] );
+  });
+
+  it('Whitespace in line mode', function(){
+    var results = diff('if (a) {\n  b();\n}\n', 'if (a)  {\n\tb( );\n}\nc();\n', {
+      mode: 'line', ignoreWhitespace: true
+    });
+    expect( results ).to.deep.equal([
+      [diff.EQUAL, 'if (a) {\n  b();\n}\n', { text2: 'if (a)  {\n\tb( );\n}\n' }],
+      [diff.INSERT, 'c();\n']
+    ]);
+  });
+
+  it('Whitespace runs in word and char mode', function(){
+    expect( diff('a  b\tc', 'a b c', { mode: 'word', ignoreWhitespace: true }) )
+      .to.deep.equal( [[diff.EQUAL, 'a  b\tc', { text2: 'a b c' }]] );
+    expect( diff('a  b\tc', 'a b c', { ignoreWhitespace: true }) )
+      .to.deep.equal( [[diff.EQUAL, 'a  b\tc', { text2: 'a b c' }]] );
+    expect( diff('a b', 'ab', { ignoreWhitespace: true }) ).to.deep.equal([
+      [diff.EQUAL, 'a'],
+      [diff.DELETE, ' '],
+      [diff.EQUAL, 'b']
+    ]);
+  });
+
+  it('Case', function(){
+    expect( diff('Hello World', 'hello world!', { ignoreCase: true }) ).to.deep.equal([
+      [diff.EQUAL, 'Hello World', { text2: 'hello world' }],
+      [diff.INSERT, '!']
+    ]);
+    expect( diff('The Cat sat', 'the cat Stood', { mode: 'word', ignoreCase: true }) )
+      .to.deep.equal([
+        [diff.EQUAL, 'The Cat ', { text2: 'the cat ' }],
+        [diff.DELETE, 'sat'],
+        [diff.INSERT, 'Stood']
+      ]);
+  });
+
+  it('Case of final sigmas', function(){
+    expect( diff('ΟΔΟΣ ΟΔΟΣ', 'οδος οδοσ', { mode: 'word', ignoreCase: true }) )
+      .to.deep.equal( [[diff.EQUAL, 'ΟΔΟΣ ΟΔΟΣ', { text2: 'οδος οδοσ' }]] );
+  });
+
+  it('Case mappings which lengthen a symbol', function(){
+    // 'İ' lowers to 'i' and a combining dot, two code points.
+    expect( diff('İx', 'i\u0307x', { ignoreCase: true }) ).to.deep.equal([
+      [diff.DELETE, 'İ'],
+      [diff.INSERT, 'i\u0307'],
+      [diff.EQUAL, 'x']
+    ]);
+    expect( diff('İx', 'i\u0307X', { ignoreCase: true, granularity: 'grapheme' }) )
+      .to.deep.equal( [[diff.EQUAL, 'İx', { text2: 'i\u0307X' }]] );
+    expect( diff('İx', 'ix', { ignoreCase: true }) ).to.deep.equal([
+      [diff.DELETE, 'İ'],
+      [diff.INSERT, 'i'],
+      [diff.EQUAL, 'x']
+    ]);
+  });
+
+  it('Refined changes are compared under the same key', function(){
+    var results = diff('Alpha Beta\n', 'alpha beta!\n', {
+      mode: 'line', ignoreCase: true, refine: true
+    });
+    expect( results ).to.deep.equal([
+      [diff.EQUAL, 'Alpha Beta', { text2: 'alpha beta' }],
+      [diff.INSERT, '!'],
+      [diff.EQUAL, '\n']
+    ]);
+  });
+
+  it('Options combine', function(){
+    var text1 = 'Café  Au Lait\r\n';
+    var text2 = 'cafe\u0301 au lait\n';
+    var results = diff(text1, text2, {
+      ignoreCase: true, ignoreWhitespace: true, ignoreLineEndings: true,
+      normalize: 'NFC'
+    });
+    expect( results ).to.deep.equal( [[diff.EQUAL, text1, { text2: text2 }]] );
+    expect( diff.text1(results) ).to.equal( text1 );
+    expect( diff.text2(results) ).to.equal( text2 );
+  });
+
+  it('Diffs still describe text2', function(){
+    var text1 = 'a\r\nb\r\nX';
+    var text2 = 'a\nb\nY';
+    var options = { ignoreLineEndings: true };
+    var results = diff(text1, text2, options);
+    expect( diff.text2(results) ).to.equal( text2 );
+    expect( diff.xIndex(results, 7) ).to.equal( 5 );
+    expect( diff.levenshtein(results) ).to.equal( 1 );
+    expect( diff.patch.apply(diff.patch.make(results), text1)[0] ).to.equal( text2 );
+    expect( diff.text2(diff.fromDelta(text1, diff.toDelta(results))) ).to.equal( text2 );
+    expect( diff.text2(diff.ot.fromQuill(text1, diff.ot.toQuill(results))) )
+      .to.equal( text2 );
+
+    options.output = 'ranges';
+    var ranges = diff(text1, text2, options);
+    expect( ranges ).to.deep.equal([
+      { op: diff.EQUAL, start1: 0, end1: 6, start2: 0, end2: 4 },
+      { op: diff.DELETE, start1: 6, end1: 7, start2: 4, end2: 4 },
+      { op: diff.INSERT, start1: 7, end1: 7, start2: 4, end2: 5 }
+    ]);
+    expect( text2.slice(ranges[0].start2, ranges[0].end2) ).to.equal( 'a\nb\n' );
+  });
+
+  it('Cleanups keep the text of text2', function(){
+    var text1 = 'The Quick Brown Fox\r\njumps\r\n';
+    var text2 = 'the quick red fox\njumps high\n';
+    ['semantic', 'efficiency'].forEach(function(cleanup) {
+      ['char', 'word', 'line'].forEach(function(mode) {
+        var results = diff(text1, text2, {
+          mode: mode, refine: mode === 'line', cleanup: cleanup,
+          ignoreCase: true, ignoreLineEndings: true
+        });
+        expect( diff.text1(results) ).to.equal( text1 );
+        expect( diff.text2(results) ).to.equal( text2 );
+      });
+    });
+  });
+
+  it('Unified diffs keep ignored differences as context', function(){
+    var results = diff('a\r\nb\r\nc\r\n', 'A\nb\nd\n', {
+      mode: 'line', ignoreCase: true, ignoreLineEndings: true
+    });
+    expect( diff.render.unified(results) ).to.equal(
+      '@@ -1,3 +1,3 @@\n a\r\n b\r\n-c\r\n+d\n');
+  });
+
+  it('Unknown normalization', function(){
+    expect(function() {
+      diff('a', 'b', { normalize: 'NFX' });
+    }).to.throw('Unknown normalization: NFX');
+  });
+
+  it('No cursor position with ignore options', function(){
+    expect(function() {
+      diff('a', 'b', { ignoreCase: true, cursorPos: 0 });
+    }).to.throw('options.cursorPos cannot be combined with ignore or normalize options');
+  });
+
+});
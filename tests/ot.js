@@ -0,0 +1,162 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+function random(seed) {
+  return function(n) {
+    seed = (seed * 9301 + 49297) % 233280;
+    return Math.floor(seed / 233280 * n);
+  };
+}
+
+function randomText(length, r) {
+  var symbols = ['a', 'b', ' ', '💩', '🐱', 'é'];
+  var text = '';
+  for (var i = 0; i < length; i++) {
+    text += symbols[r(symbols.length)];
+  }
+  return text;
+}
+
+function applyQuill(text, ops) {
+  return diff.text2(diff.ot.fromQuill(text, ops));
+}
+
+function applyOtText(text, op) {
+  return diff.text2(diff.ot.fromOtText(text, op));
+}
+
+describe('Fast Diff OT', function() {
+
+  it('Quill ops count UTF-16 code units', function(){
+    var results = diff('💩a c', '💩b c');
+    expect( diff.ot.toQuill(results) ).to.deep.equal([
+      { retain: 2 },
+      { insert: 'b' },
+      { delete: 1 }
+    ]);
+  });
+
+  it('Quill ops of astral edits', function(){
+    var results = diff('a🐱b', 'a💩b');
+    expect( diff.ot.toQuill(results) ).to.deep.equal([
+      { retain: 1 },
+      { insert: '💩' },
+      { delete: 2 }
+    ]);
+  });
+
+  it('No ops for equal texts', function(){
+    expect( diff.ot.toQuill(diff('💩', '💩')) ).to.deep.equal( [] );
+    expect( diff.ot.toOtText(diff('💩', '💩')) ).to.deep.equal( [] );
+  });
+
+  it('Quill ops of other outputs', function(){
+    var symbols = diff('💩a', '💩b', { output: 'symbols' });
+    expect( diff.ot.toQuill(symbols) ).to.deep.equal([
+      { retain: 2 },
+      { insert: 'b' },
+      { delete: 1 }
+    ]);
+    var paragraph = 'The quick brown fox jumps over the lazy dog.\n';
+    var moves = diff(paragraph + 'x\n', 'x\n' + paragraph, { mode: 'line', moves: true });
+    expect( diff.ot.toQuill(moves) ).to.deep.equal([
+      { delete: paragraph.length },
+      { retain: 2 },
+      { insert: paragraph }
+    ]);
+  });
+
+  it('Diff from Quill ops', function(){
+    var ops = [{ retain: 2 }, { insert: 'b' }, { delete: 1 }];
+    expect( diff.ot.fromQuill('💩a c', ops) ).to.deep.equal([
+      [diff.EQUAL, '💩'],
+      [diff.DELETE, 'a'],
+      [diff.INSERT, 'b'],
+      [diff.EQUAL, ' c']
+    ]);
+    expect( diff.ot.fromQuill('💩a c', { ops: ops }) )
+      .to.deep.equal( diff.ot.fromQuill('💩a c', ops) );
+  });
+
+  it('Attributes are dropped', function(){
+    var ops = [{ retain: 1, attributes: { bold: true } }, { insert: 'x', attributes: { italic: true } }];
+    expect( diff.ot.fromQuill('ab', ops) ).to.deep.equal([
+      [diff.EQUAL, 'a'],
+      [diff.INSERT, 'x'],
+      [diff.EQUAL, 'b']
+    ]);
+  });
+
+  it('Invalid Quill ops', function(){
+    expect(function() {
+      diff.ot.fromQuill('ab', [{ retain: 3 }]);
+    }).to.throw('Ops are longer than the text');
+    expect(function() {
+      diff.ot.fromQuill('💩', [{ retain: 1 }, { insert: 'x' }]);
+    }).to.throw('Ops split a surrogate pair at 1');
+    expect(function() {
+      diff.ot.fromQuill('ab', [{ insert: { image: 'cat.png' } }]);
+    }).to.throw('Only text ops can be converted');
+  });
+
+  it('ot-text ops', function(){
+    var results = diff('💩a c', '💩b c');
+    var op = diff.ot.toOtText(results);
+    expect( op ).to.deep.equal( [2, 'b', { d: 1 }] );
+    expect( diff.ot.fromOtText('💩a c', op) ).to.deep.equal( results );
+    expect(function() {
+      diff.ot.fromOtText('ab', [{ x: 1 }]);
+    }).to.throw('Unknown ot-text component: {"x":1}');
+  });
+
+  it('Round trips', function(){
+    var r = random(3);
+    for (var i = 0; i < 200; i++) {
+      var text1 = randomText(r(20), r);
+      var text2 = randomText(r(20), r);
+      var results = diff(text1, text2);
+      expect( applyQuill(text1, diff.ot.toQuill(results)) ).to.equal( text2 );
+      expect( applyOtText(text1, diff.ot.toOtText(results)) ).to.equal( text2 );
+      expect( diff.ot.fromQuill(text1, diff.ot.toQuill(results)) )
+        .to.deep.equal( results );
+    }
+  });
+
+  it('Transform inserts at the same position', function(){
+    var transformed = diff.ot.transform([{ insert: 'A' }], [{ insert: 'B' }]);
+    expect( transformed ).to.deep.equal([
+      [{ insert: 'A' }],
+      [{ retain: 1 }, { insert: 'B' }]
+    ]);
+  });
+
+  it('Transform overlapping deletes', function(){
+    var opsA = [{ retain: 1 }, { delete: 3 }];
+    var opsB = [{ retain: 2 }, { delete: 3 }];
+    var transformed = diff.ot.transform(opsA, opsB);
+    expect( transformed ).to.deep.equal([
+      [{ retain: 1 }, { delete: 1 }],
+      [{ retain: 1 }, { delete: 1 }]
+    ]);
+    expect( applyQuill(applyQuill('abcdefg', opsA), transformed[1]) ).to.equal( 'afg' );
+    expect( applyQuill(applyQuill('abcdefg', opsB), transformed[0]) ).to.equal( 'afg' );
+  });
+
+  it('Transform ot-text ops', function(){
+    var transformed = diff.ot.transform([2, { d: 3 }], [3, 'X']);
+    expect( transformed ).to.deep.equal( [[2, { d: 1 }, 1, { d: 2 }], [2, 'X']] );
+  });
+
+  it('Transformed concurrent edits converge', function(){
+    var r = random(7);
+    for (var i = 0; i < 300; i++) {
+      var text = randomText(r(20), r);
+      var opsA = diff.ot.toQuill(diff(text, randomText(r(20), r)));
+      var opsB = diff.ot.toQuill(diff(text, randomText(r(20), r)));
+      var transformed = diff.ot.transform(opsA, opsB);
+      expect( applyQuill(applyQuill(text, opsA), transformed[1]) )
+        .to.equal( applyQuill(applyQuill(text, opsB), transformed[0]) );
+    }
+  });
+
+});
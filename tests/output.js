@@ -0,0 +1,69 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+describe('Fast Diff Output', function() {
+
+  it('Strings by default', function(){
+    expect( diff('🐶a', '🐱a') ).to.deep.equal( diff('🐶a', '🐱a', { output: 'strings' }) );
+  });
+
+  it('Symbol arrays', function(){
+    expect( diff('🐶ab', '🐱ab', { output: 'symbols' }) ).to.deep.equal(
+      [ [ -1, [ '🐶' ] ], [ 1, [ '🐱' ] ], [ 0, [ 'a', 'b' ] ] ]
+    );
+    expect( diff('a big cat', 'a cat', { output: 'symbols', mode: 'word' }) )
+      .to.deep.equal( [ [ 0, [ 'a', ' ' ] ], [ -1, [ 'big', ' ' ] ], [ 0, [ 'cat' ] ] ] );
+  });
+
+  it('Code point ranges', function(){
+    expect( diff('🐶 a cat', '🐱🐱 a big cat', { output: 'ranges' }) ).to.deep.equal([
+      { op: -1, start1: 0, end1: 1, start2: 0, end2: 0 },
+      { op: 1, start1: 1, end1: 1, start2: 0, end2: 2 },
+      { op: 0, start1: 1, end1: 3, start2: 2, end2: 4 },
+      { op: 1, start1: 3, end1: 3, start2: 4, end2: 8 },
+      { op: 0, start1: 3, end1: 7, start2: 8, end2: 12 }
+    ]);
+  });
+
+  it('UTF-16 ranges', function(){
+    var text1 = '🐶 a cat';
+    var text2 = '🐱🐱 a big cat';
+    var ranges = diff(text1, text2, { output: 'ranges', unit: 'utf16' });
+    expect( ranges[3] ).to.deep.equal( { op: 1, start1: 4, end1: 4, start2: 6, end2: 10 } );
+    ranges.forEach(function(range) {
+      if (range.op === diff.EQUAL) {
+        expect( text1.slice(range.start1, range.end1) )
+          .to.equal( text2.slice(range.start2, range.end2) );
+      }
+    });
+    expect( ranges[ranges.length - 1].end1 ).to.equal( text1.length );
+    expect( ranges[ranges.length - 1].end2 ).to.equal( text2.length );
+  });
+
+  it('Grapheme ranges', function(){
+    // 'e' with a combining acute accent is one grapheme of two code points.
+    var text1 = 'ce\u0301 a';
+    var text2 = 'ce\u0301 b';
+    var options = { output: 'ranges', unit: 'grapheme', granularity: 'grapheme' };
+    expect( diff(text1, text2, options) ).to.deep.equal([
+      { op: 0, start1: 0, end1: 3, start2: 0, end2: 3 },
+      { op: -1, start1: 3, end1: 4, start2: 3, end2: 3 },
+      { op: 1, start1: 4, end1: 4, start2: 3, end2: 4 }
+    ]);
+  });
+
+  it('Truncation is reported', function(){
+    var ranges = diff('abc', 'abd', { output: 'ranges', timeout: 1000 });
+    expect( ranges.truncated ).to.equal( false );
+  });
+
+  it('Invalid options', function(){
+    expect( function() { diff('a', 'b', { output: 'html' }); } )
+      .to.throw(Error, /Unknown output/);
+    expect( function() { diff('a', 'b', { output: 'ranges', unit: 'byte' }); } )
+      .to.throw(Error, /Unknown unit/);
+    expect( function() { diff('a', 'b', { unit: 'utf16' }); } )
+      .to.throw(Error, /ranges output/);
+  });
+
+});
@@ -0,0 +1,123 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+describe('Fast Diff Patch', function() {
+
+  var text1 = '🐶🐶🐶 The quick brown fox jumps over the lazy dog.';
+  var text2 = '🐶🐶🐶 That quick brown fox jumped over a lazy dog.';
+  var patchText = '@@ -1,15 +1,16 @@\n' +
+                  ' %F0%9F%90%B6%F0%9F%90%B6%F0%9F%90%B6 Th\n' +
+                  '-e\n' +
+                  '+at\n' +
+                  '  quick b\n' +
+                  '@@ -26,18 +26,17 @@\n' +
+                  ' jump\n' +
+                  '-s\n' +
+                  '+ed\n' +
+                  '  over \n' +
+                  '-the\n' +
+                  '+a\n' +
+                  '  laz\n';
+
+  it('Make - Offsets count code points', function(){
+    var patches = diff.patch.make(text1, text2);
+    expect( patches.length ).to.equal( 2 );
+    expect( patches[0] ).to.deep.equal({
+      diffs: [ [ 0, '🐶🐶🐶 Th' ], [ -1, 'e' ], [ 1, 'at' ], [ 0, ' quick b' ] ],
+      start1: 0,
+      start2: 0,
+      length1: 15,
+      length2: 16
+    });
+    expect( diff.patch.toText(patches) ).to.equal( patchText );
+  });
+
+  it('Make - From diffs', function(){
+    var diffs = diff(text1, text2);
+    var expected = diff.patch.toText(diff.patch.make(text1, text2));
+    expect( diff.patch.toText(diff.patch.make(text1, diffs)) ).to.equal( expected );
+    expect( diff.patch.toText(diff.patch.make(diffs)) ).to.equal(
+      diff.patch.toText(diff.patch.make(text1, diffs)) );
+    expect( diff.patch.make('', '') ).to.deep.equal( [] );
+  });
+
+  it('Make - Unknown call format', function(){
+    expect( function() { diff.patch.make(1, 2); } ).to.throw(Error);
+  });
+
+  it('Text - Round trip', function(){
+    var patches = diff.patch.fromText(patchText);
+    expect( patches ).to.deep.equal( diff.patch.make(text1, text2) );
+    expect( diff.patch.toText(patches) ).to.equal( patchText );
+    expect( diff.patch.fromText('') ).to.deep.equal( [] );
+  });
+
+  it('Text - Unpaired surrogates', function(){
+    var patches = diff.patch.make('a\uD83Db', 'ab');
+    var text = diff.patch.toText(patches);
+    expect( text ).to.equal( '@@ -1,3 +1,2 @@\n a\n-%uD83D\n b\n' );
+    expect( diff.patch.fromText(text) ).to.deep.equal( patches );
+    patches = diff.patch.make('x', 'x\uDCA9\uD83D💩%uD83D');
+    expect( diff.patch.apply(diff.patch.fromText(diff.patch.toText(patches)), 'x')[0] )
+      .to.equal( 'x\uDCA9\uD83D💩%uD83D' );
+    expect( function() { diff.patch.fromText('@@ -1 +1 @@\n-%u0041\n'); } )
+      .to.throw(Error, /Illegal escape/);
+  });
+
+  it('Text - Invalid input', function(){
+    expect( function() { diff.patch.fromText('Bad\nPatch\n'); } )
+      .to.throw(Error, /Invalid patch string/);
+    expect( function() { diff.patch.fromText('@@ -1 +1 @@\n*a\n'); } )
+      .to.throw(Error, /Invalid patch mode/);
+    expect( function() { diff.patch.fromText('@@ -1 +1 @@\n-%E0%A4\n'); } )
+      .to.throw(Error, /Illegal escape/);
+  });
+
+  it('Apply - Exact match', function(){
+    var patches = diff.patch.make(text1, text2);
+    expect( diff.patch.apply(patches, text1) ).to.deep.equal( [ text2, [ true, true ] ] );
+  });
+
+  it('Apply - Fuzzy match', function(){
+    var patches = diff.patch.make(text1, text2);
+    var results = diff.patch.apply(patches, '🐯 The quick red rabbit jumps over the tired tiger.');
+    expect( results ).to.deep.equal(
+      [ '🐯 That quick red rabbit jumped over a tired tiger.', [ true, true ] ] );
+  });
+
+  it('Apply - Failed match', function(){
+    var patches = diff.patch.make(text1, text2);
+    var text = 'I am the very model of a modern major general.';
+    expect( diff.patch.apply(patches, text) ).to.deep.equal( [ text, [ false, false ] ] );
+  });
+
+  it('Apply - Threshold option', function(){
+    var patches = diff.patch.make(text1, text2);
+    var text = '🐯 The quick red rabbit jumps over the tired tiger.';
+    expect( diff.patch.apply(patches, text, { threshold: 0 }) ).to.deep.equal(
+      [ text, [ false, false ] ] );
+  });
+
+  it('Apply - Big delete', function(){
+    var dogs = new Array(101).join('🐶');
+    var patches = diff.patch.make('xxxxxxxxxx' + dogs + 'yyyyyyyyyy', 'xxxxxxxxxxyyyyyyyyyy');
+    var text = 'xxxxxxxxxx' + dogs.slice(2) + '🐯yyyyyyyyyy';
+    expect( diff.patch.apply(patches, text) ).to.deep.equal( [ 'xxxxxxxxxxyyyyyyyyyy', [ true ] ] );
+  });
+
+  it('Apply - Edge of text', function(){
+    var patches = diff.patch.make('', 'test');
+    expect( diff.patch.apply(patches, '') ).to.deep.equal( [ 'test', [ true ] ] );
+    patches = diff.patch.make('XY', 'XtestY');
+    expect( diff.patch.apply(patches, 'XY') ).to.deep.equal( [ 'XtestY', [ true ] ] );
+    expect( diff.patch.apply([], 'Hello') ).to.deep.equal( [ 'Hello', [] ] );
+  });
+
+  it('Apply - Does not modify patches', function(){
+    var patches = diff.patch.make(text1, text2);
+    var before = diff.patch.toText(patches);
+    diff.patch.apply(patches, 'The quick brown fox');
+    expect( diff.patch.toText(patches) ).to.equal( before );
+  });
+
+});
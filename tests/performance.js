@@ -1,56 +1,65 @@
 /**
- * This sanity test compares fast-diff-astral to googlediff.
- * However, it cannot test surrogate pairs, as googlediff does
- * not handle them correctly itself.
- *
- * Therefore it is used purely to check the sanity of diffing with
- * regard to text in the basic multilingual plane.
+ * This benchmark diffs random strings with fast-diff and fast-diff-astral,
+ * checks that both give the same results and prints the time and peak heap
+ * of each.  Run it with --expose-gc (npm run test-performance) for steadier
+ * heap figures.
  */
 var isEqual = require('lodash.isequal');
 var seedrandom = require('seedrandom');
+var v8 = require('v8');
 var fastDiff = require('fast-diff');
 var fastDiffAstral = require('../diff.js');
 
-var ITERATIONS = [10, 100];
-var LENGTHS = [10, 100, 1000, 10000];
-var ALPHABET = 'GATTACA';
+// Number of diffs and string length of each run.  Diffs of long random
+// strings take seconds each, so there are fewer of them.
+var RUNS = [[100, 10], [100, 100], [100, 1000], [10, 10000]];
+// ASCII, and letters outside Latin-1, which engines do not cache as
+// one-character strings.
+var ALPHABETS = ['GATTACA', 'αβγδεζη'];
 
 
-ITERATIONS.forEach(function(iterationCount){
-  LENGTHS.forEach(function(length){
+var rows = [];
+ALPHABETS.forEach(function(alphabet){
+  RUNS.forEach(function(run){
+    var iterationCount = run[0];
+    var length = run[1];
 
     var seed = Math.floor(Math.random() * 10000);
 
-    console.log('\nComputing ' + iterationCount + ' diffs, string length ' + length + ', with seed ' + seed + '...');
-    console.log('Generating strings...');
-    var strings = generateRandomStrings(seed, length, iterationCount);
-
-    console.log('Running tests...');
-    var fastDiffResults = testFastDiff(strings);
-    var fastDiffAstralResults = testFastDiffAstral(strings);
+    console.log('\nComputing ' + iterationCount + ' diffs, string length ' + length + ', alphabet ' + alphabet + ', with seed ' + seed + '...');
+    var strings = generateRandomStrings(seed, length, iterationCount, alphabet);
+    var expected = measure(fastDiff, strings);
+    var result = measure(fastDiffAstral, strings);
 
     // ensure results match
-    if (!isEqual(fastDiffResults, fastDiffAstralResults)) {
-      console.log('fast-diff results:', expected);
-      console.log('fast-diff-astral results:', result);
+    if (!isEqual(expected.results, result.results)) {
+      console.log('fast-diff results:', expected.results);
+      console.log('fast-diff-astral results:', result.results);
       throw new Error('Diff produced different results.');
     }
     else {
       console.log('Diff produced same results.')
     }
-
+    rows.push([alphabet, iterationCount + ' x ' + length,
+               format(expected), format(result)]);
   })
 })
-console.log("Success!");
 
+console.log('');
+[['alphabet', 'diffs', 'fast-diff', 'fast-diff-astral']].concat(rows)
+    .forEach(function(row){
+  console.log(pad(row[0], 10) + pad(row[1], 12) + pad(row[2], 24) + row[3]);
+})
+console.log("\nSuccess!");
 
-function generateRandomStrings(seed, length, count) {
+
+function generateRandomStrings(seed, length, count, alphabet) {
   var strings = [];
   var random = seedrandom(seed);
   for(var i = 0; i <= count; ++i) {
     var chars = [];
     for(var l = 0; l < length; ++l) {
-      var letter = ALPHABET.substr(Math.floor(random() * ALPHABET.length), 1);
+      var letter = alphabet.substr(Math.floor(random() * alphabet.length), 1);
       chars.push(letter);
     }
     strings.push(chars.join(''));
@@ -59,25 +68,39 @@ function generateRandomStrings(seed, length, count) {
 }
 
 
-function testFastDiff(strings) {
-  console.time('fast-diff');
+// Diff consecutive strings, timing all diffs together.  The heap in use is
+// sampled after every diff (garbage included), and its peak is given over
+// the heap in use before the first one.
+function measure(diff, strings) {
+  if (global.gc) {
+    global.gc();
+  }
+  var baseline = v8.getHeapStatistics().used_heap_size;
+  var peak = baseline;
   var results = [];
-  var stringsCount = strings.length;
-  for (var i=0; i < stringsCount-1; i++) {
-    results.push( fastDiff(strings[i], strings[i+1]) )
+  var start = process.hrtime();
+  for (var i = 0; i < strings.length - 1; i++) {
+    results.push( diff(strings[i], strings[i+1]) );
+    peak = Math.max(peak, v8.getHeapStatistics().used_heap_size);
   }
-  console.timeEnd('fast-diff');
-  return results;
+  var time = process.hrtime(start);
+  return {
+    results: results,
+    milliseconds: time[0] * 1e3 + time[1] / 1e6,
+    bytes: peak - baseline
+  };
 }
 
 
-function testFastDiffAstral(strings) {
-  console.time('fast-diff-astral');
-  var results = [];
-  var stringsCount = strings.length;
-  for (var i=0; i < stringsCount-1; i++) {
-    results.push( fastDiffAstral(strings[i], strings[i+1]) )
+function format(measurement) {
+  return measurement.milliseconds.toFixed(1) + 'ms ' +
+         Math.round(measurement.bytes / 1024) + 'kB';
+}
+
+
+function pad(string, length) {
+  while (string.length < length) {
+    string += ' ';
   }
-  console.timeEnd('fast-diff-astral');
-  return results;
+  return string;
 }
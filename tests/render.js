@@ -0,0 +1,76 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+describe('Fast Diff Render', function() {
+
+  var text1 = '1\n2\n3\n4\n5\n6\n7\n8\n9\n10\n11\n12\n';
+  var text2 = '1\ntwo\n3\n4\n5\n6\n7\n8\n9\n10\n10b\n11\n12\n';
+
+  it('Unified diff', function(){
+    expect( diff.render.unified(diff(text1, text2), { from: 'a.txt', to: 'b.txt' }) ).to.equal(
+      '--- a.txt\n+++ b.txt\n' +
+      '@@ -1,5 +1,5 @@\n 1\n-2\n+two\n 3\n 4\n 5\n' +
+      '@@ -8,5 +8,6 @@\n 8\n 9\n 10\n+10b\n 11\n 12\n'
+    );
+  });
+
+  it('Context lines', function(){
+    expect( diff.render.unified(diff(text1, text2), { context: 0 }) ).to.equal(
+      '@@ -2 +2 @@\n-2\n+two\n@@ -10,0 +11 @@\n+10b\n'
+    );
+    // Changes less than two contexts apart share a hunk.
+    expect( diff.render.unified(diff(text1, text2), { context: 4 }) ).to.equal(
+      '@@ -1,12 +1,13 @@\n 1\n-2\n+two\n 3\n 4\n 5\n 6\n 7\n 8\n 9\n 10\n+10b\n 11\n 12\n'
+    );
+  });
+
+  it('Char and line diffs give the same lines', function(){
+    var options = { context: 1 };
+    expect( diff.render.unified(diff(text1, text2), options) )
+      .to.equal( diff.render.unified(diff(text1, text2, { mode: 'line' }), options) );
+  });
+
+  it('Changes within lines', function(){
+    expect( diff.render.unified(diff('The cat\nsat\n', 'The hat\nsat\n')) ).to.equal(
+      '@@ -1,2 +1,2 @@\n-The cat\n+The hat\n sat\n'
+    );
+  });
+
+  it('Missing newline at end', function(){
+    expect( diff.render.unified(diff('a\nb', 'a\nb\n')) ).to.equal(
+      '@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b\n'
+    );
+  });
+
+  it('Empty texts', function(){
+    expect( diff.render.unified(diff('', 'x\n')) ).to.equal( '@@ -0,0 +1 @@\n+x\n' );
+    expect( diff.render.unified(diff('x\n', '')) ).to.equal( '@@ -1 +0,0 @@\n-x\n' );
+    expect( diff.render.unified(diff('x\n', 'x\n'), { from: 'a', to: 'b' }) ).to.equal( '' );
+  });
+
+  it('Colored unified diff', function(){
+    expect( diff.render.unified(diff('a\nc\n', 'b\nc\n'), { color: true }) ).to.equal(
+      '\x1b[36m@@ -1,2 +1,2 @@\x1b[0m\n\x1b[31m-a\x1b[0m\n\x1b[32m+b\x1b[0m\n c\n'
+    );
+  });
+
+  it('HTML', function(){
+    expect( diff.render.html([ [ 0, 'a\n' ], [ -1, '<B>b</B>' ], [ 1, 'c&"d' ] ]) ).to.equal(
+      '<span>a&para;<br></span>' +
+      '<del style="background:#ffe6e6;">&lt;B&gt;b&lt;/B&gt;</del>' +
+      '<ins style="background:#e6ffe6;">c&amp;&quot;d</ins>'
+    );
+  });
+
+  it('ANSI', function(){
+    expect( diff.render.ansi(diff('🐶 cat', '🐶 cut')) ).to.equal(
+      '🐶 c\x1b[31ma\x1b[0m\x1b[32mu\x1b[0mt'
+    );
+  });
+
+  it('Invalid options', function(){
+    expect( function() { diff.render.unified([], { context: -1 }); } )
+      .to.throw(TypeError);
+  });
+
+});
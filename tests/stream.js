@@ -0,0 +1,161 @@
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var seedrandom = require('seedrandom');
+var diff = require('../diff.js');
+
+function collect(stream, callback) {
+  var diffs = [];
+  stream.on('data', function(data) { diffs.push(data); });
+  stream.on('error', callback);
+  stream.on('end', function() { callback(null, diffs); });
+}
+
+// Split text into Buffers of a few bytes, cutting through UTF-8 sequences.
+function toChunks(text, size) {
+  var buffer = Buffer.from(text);
+  var chunks = [];
+  for (var i = 0; i < buffer.length; i += size) {
+    chunks.push(buffer.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// An iterable which never ends, and records when it is closed.
+function endless(chunk, closed) {
+  var iterable = {};
+  iterable[Symbol.iterator] = function() {
+    return {
+      next: function() { return { done: false, value: chunk }; },
+      return: function() {
+        closed.push(chunk);
+        return { done: true };
+      }
+    };
+  };
+  return iterable;
+}
+
+describe('Fast Diff Stream', function() {
+
+  var rng = seedrandom('stream');
+  var lines = [];
+  for (var i = 0; i < 500; i++) {
+    lines.push('line ' + Math.floor(rng() * 100) + (rng() < 0.2 ? ' 🐶' : '') + '\n');
+  }
+  var changed = lines.slice();
+  for (var j = 0; j < 40; j++) {
+    var index = Math.floor(rng() * changed.length);
+    if (rng() < 0.5) {
+      changed.splice(index, 1);
+    } else {
+      changed.splice(index, 0, 'new 🐱 ' + j + '\n');
+    }
+  }
+  var text1 = lines.join('');
+  var text2 = changed.join('') + 'no newline';
+
+  it('Small inputs', function(done){
+    collect(diff.stream([ 'a\nb\n' ], [ 'a\n', 'c\n' ]), function(error, diffs) {
+      expect( diffs ).to.deep.equal( [ [ 0, 'a\n' ], [ -1, 'b\n' ], [ 1, 'c\n' ] ] );
+      done(error);
+    });
+  });
+
+  it('Empty inputs', function(done){
+    collect(diff.stream([], [ '' ]), function(error, diffs) {
+      expect( diffs ).to.deep.equal( [] );
+      done(error);
+    });
+  });
+
+  it('Chunks split anywhere', function(done){
+    collect(diff.stream(toChunks(text1, 7), toChunks(text2, 5)), function(error, diffs) {
+      expect( diff.text1(diffs) ).to.equal( text1 );
+      expect( diff.text2(diffs) ).to.equal( text2 );
+      done(error);
+    });
+  });
+
+  it('Small windows', function(done){
+    var lineDiff = diff(text1, text2, { mode: 'line' });
+    collect(diff.stream([ text1 ], [ text2 ], { window: 20 }), function(error, diffs) {
+      expect( diff.text1(diffs) ).to.equal( text1 );
+      expect( diff.text2(diffs) ).to.equal( text2 );
+      expect( diff.levenshtein(diffs) ).to.equal( diff.levenshtein(lineDiff) );
+      done(error);
+    });
+  });
+
+  it('Refine', function(done){
+    collect(diff.stream([ 'a\n🐶 cat\n' ], [ 'a\n🐶 cut\n' ], { refine: true }), function(error, diffs) {
+      expect( diffs ).to.deep.equal( [ [ 0, 'a\n🐶 c' ], [ -1, 'a' ], [ 1, 'u' ], [ 0, 't\n' ] ] );
+      done(error);
+    });
+  });
+
+  it('File streams', function(done){
+    var file1 = path.join(os.tmpdir(), 'fast-diff-astral-stream-1.txt');
+    var file2 = path.join(os.tmpdir(), 'fast-diff-astral-stream-2.txt');
+    fs.writeFileSync(file1, text1);
+    fs.writeFileSync(file2, text2);
+    var stream = diff.stream(fs.createReadStream(file1, { highWaterMark: 64 }),
+                             fs.createReadStream(file2, { highWaterMark: 100 }),
+                             { window: 50 });
+    collect(stream, function(error, diffs) {
+      fs.unlinkSync(file1);
+      fs.unlinkSync(file2);
+      expect( diff.text1(diffs) ).to.equal( text1 );
+      expect( diff.text2(diffs) ).to.equal( text2 );
+      done(error);
+    });
+  });
+
+  it('Long lines are split', function(done){
+    var long1 = new Array(200).join('a💩');
+    var long2 = long1.replace('💩aa', '🐱aa') + '\nend';
+    var stream = diff.stream(toChunks(long1, 7), toChunks(long2, 5), {
+      window: 3, maxLine: 25
+    });
+    collect(stream, function(error, diffs) {
+      expect( diff.text1(diffs) ).to.equal( long1 );
+      expect( diff.text2(diffs) ).to.equal( long2 );
+      diffs.forEach(function(d) {
+        expect( d[1] ).to.not.match( /^[\uDC00-\uDFFF]|[\uD800-\uDBFF]$/ );
+      });
+      done(error);
+    });
+  });
+
+  it('Destroying stops reading the inputs', function(done){
+    var closed = [];
+    var stream = diff.stream(endless('ab', closed), endless('ba', closed), {
+      window: 5, maxLine: 10
+    });
+    stream.once('data', function() {
+      stream.destroy();
+    });
+    stream.on('close', function() {
+      expect( closed.sort() ).to.deep.equal( [ 'ab', 'ba' ] );
+      done();
+    });
+  });
+
+  it('Source errors', function(done){
+    var file = path.join(os.tmpdir(), 'fast-diff-astral-missing.txt');
+    collect(diff.stream(fs.createReadStream(file), [ 'a' ]), function(error) {
+      expect( error.code ).to.equal( 'ENOENT' );
+      done();
+    });
+  });
+
+  it('Invalid arguments', function(){
+    expect( function() { diff.stream('a', [ 'b' ]); } ).to.throw(TypeError);
+    expect( function() { diff.stream([], [], { window: 0 }); } ).to.throw(TypeError);
+    expect( function() { diff.stream([], [], { maxLine: 1 }); } ).to.throw(TypeError);
+    expect( function() { diff.stream([], [], { granularity: 'byte' }); } )
+      .to.throw(Error, /Unknown granularity/);
+  });
+
+});
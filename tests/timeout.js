@@ -0,0 +1,66 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+function randomText(length, seed) {
+  var chars = [];
+  for (var i = 0; i < length; i++) {
+    seed = (seed * 9301 + 49297) % 233280;
+    chars.push('GATC'.charAt(Math.floor(seed / 233280 * 4)));
+  }
+  return chars.join('');
+}
+
+function rebuild(diffs, op) {
+  return diffs.filter(function(d) { return d[0] !== op; })
+              .map(function(d) { return d[1]; }).join('');
+}
+
+describe('Fast Diff Timeout', function() {
+
+  it('No truncation report without a limit', function(){
+    var results = diff('abc', 'abd');
+    expect( results ).to.not.have.property('truncated');
+  });
+
+  it('Generous timeout gives the full diff', function(){
+    var text1 = randomText(200, 1);
+    var text2 = randomText(200, 2);
+    var results = diff(text1, text2, { timeout: 60000 });
+    expect( results.truncated ).to.equal( false );
+    expect( results.slice() ).to.deep.equal( diff(text1, text2) );
+  });
+
+  it('Passed deadline gives a coarse diff', function(){
+    var text1 = 'x' + randomText(1000, 3);
+    var text2 = 'y' + randomText(1000, 4);
+    var results = diff(text1, text2, { deadline: Date.now() - 1 });
+    expect( results.truncated ).to.equal( true );
+    expect( results.slice() ).to.deep.equal( [ [ -1, text1 ], [ 1, text2 ] ] );
+  });
+
+  it('Short timeout on large texts', function(){
+    var text1 = randomText(20000, 5);
+    var text2 = randomText(20000, 6);
+    var start = Date.now();
+    var results = diff(text1, text2, { timeout: 20 });
+    expect( Date.now() - start ).to.be.below( 2000 );
+    expect( results.truncated ).to.equal( true );
+    expect( rebuild(results, 1) ).to.equal( text1 );
+    expect( rebuild(results, -1) ).to.equal( text2 );
+  });
+
+  it('Arrays and line mode', function(){
+    var results = diff.arrays([1, 2, 3], [4, 5, 6], { deadline: Date.now() - 1 });
+    expect( results.truncated ).to.equal( true );
+    results = diff('a\nb\n', 'a\nc\n', { mode: 'line', timeout: 60000 });
+    expect( results.truncated ).to.equal( false );
+  });
+
+  it('Invalid limits', function(){
+    expect( function() { diff('a', 'b', { timeout: '10' }); } )
+      .to.throw(TypeError, /timeout/);
+    expect( function() { diff('a', 'b', { timeout: 10, deadline: 10 }); } )
+      .to.throw(Error, /Only one/);
+  });
+
+});
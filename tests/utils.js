@@ -0,0 +1,64 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+describe('Fast Diff Utilities', function() {
+
+  it('Source and destination text', function(){
+    var diffs = [ [ 0, 'jump' ], [ -1, 's' ], [ 1, 'ed' ], [ 0, ' over ' ],
+                  [ -1, 'the' ], [ 1, 'a' ], [ 0, ' lazy 🐶' ] ];
+    expect( diff.text1(diffs) ).to.equal( 'jumps over the lazy 🐶' );
+    expect( diff.text2(diffs) ).to.equal( 'jumped over a lazy 🐶' );
+    expect( diff.text1([]) ).to.equal( '' );
+  });
+
+  it('Array diffs', function(){
+    var diffs = diff.arrays([ 1, [ 2 ], 3 ], [ 1, 4, 3 ]);
+    expect( diff.text1(diffs) ).to.deep.equal( [ 1, [ 2 ], 3 ] );
+    expect( diff.text2(diffs) ).to.deep.equal( [ 1, 4, 3 ] );
+    expect( diff.levenshtein(diffs) ).to.equal( 1 );
+    expect( diff.xIndex(diffs, 2) ).to.equal( 2 );
+  });
+
+  it('Levenshtein', function(){
+    expect( diff.levenshtein([ [ -1, 'abc' ], [ 1, '1234' ], [ 0, 'xyz' ] ]) )
+      .to.equal( 4 );
+    expect( diff.levenshtein([ [ 0, 'xyz' ], [ -1, 'abc' ], [ 1, '1234' ] ]) )
+      .to.equal( 4 );
+    expect( diff.levenshtein([ [ -1, 'abc' ], [ 0, 'xyz' ], [ 1, '1234' ] ]) )
+      .to.equal( 7 );
+  });
+
+  it('Levenshtein units', function(){
+    var diffs = [ [ 0, 'a' ], [ -1, '🐶🐶' ], [ 1, 'b' ] ];
+    expect( diff.levenshtein(diffs) ).to.equal( 2 );
+    expect( diff.levenshtein(diffs, { unit: 'codepoint' }) ).to.equal( 2 );
+    expect( diff.levenshtein(diffs, { unit: 'utf16' }) ).to.equal( 4 );
+  });
+
+  it('Translate index', function(){
+    // Translation on equality.
+    expect( diff.xIndex([ [ -1, 'a' ], [ 1, '1234' ], [ 0, 'xyz' ] ], 2) )
+      .to.equal( 5 );
+    // Translation on deletion.
+    expect( diff.xIndex([ [ 0, 'a' ], [ -1, '1234' ], [ 0, 'xyz' ] ], 3) )
+      .to.equal( 1 );
+    // Past the end.
+    expect( diff.xIndex([ [ 0, 'ab' ], [ 1, 'c' ] ], 5) ).to.equal( 6 );
+  });
+
+  it('Translate index units', function(){
+    var diffs = diff('🐶 a cat', '🐱🐱 a big cat');
+    // The 'c' of 'cat'.
+    expect( diff.xIndex(diffs, 4) ).to.equal( 9 );
+    expect( diff.xIndex(diffs, 5, { unit: 'utf16' }) ).to.equal( 11 );
+    expect( '🐱🐱 a big cat'.charAt(11) ).to.equal( 'c' );
+  });
+
+  it('Invalid arguments', function(){
+    expect( function() { diff.levenshtein([], { unit: 'byte' }); } )
+      .to.throw(Error, /Unknown unit/);
+    expect( function() { diff.xIndex([], -1); } )
+      .to.throw(TypeError);
+  });
+
+});
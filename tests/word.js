@@ -0,0 +1,74 @@
+var expect = require('chai').expect;
+var diff = require('../diff.js');
+
+describe('Fast Diff Word Mode', function() {
+
+  it('Whole words', function(){
+    var text1 = 'The cat sat.';
+    var text2 = 'The dog sat!';
+    var results = diff(text1,text2, { mode: 'word' });
+    var expected = [ [ 0, 'The ' ],
+                     [ -1, 'cat' ],
+                     [ 1, 'dog' ],
+                     [ 0, ' sat' ],
+                     [ -1, '.' ],
+                     [ 1, '!' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Astral symbols and identifiers stay in words', function(){
+    var text1 = 'a 🐶 dog_name';
+    var text2 = 'a 🐯 dog_names';
+    var results = diff(text1,text2, { mode: 'word' });
+    var expected = [ [ 0, 'a ' ],
+                     [ -1, '🐶' ],
+                     [ 1, '🐯' ],
+                     [ 0, ' ' ],
+                     [ -1, 'dog_name' ],
+                     [ 1, 'dog_names' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Refined words', function(){
+    var text1 = 'The cat sat';
+    var text2 = 'The cot sat';
+    var results = diff(text1,text2, { mode: 'word', refine: true });
+    var expected = [ [ 0, 'The c' ],
+                     [ -1, 'a' ],
+                     [ 1, 'o' ],
+                     [ 0, 't sat' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Custom tokenizer', function(){
+    var text1 = 'a,b,c';
+    var text2 = 'a,x,c';
+    var results = diff(text1,text2, {
+      tokenize: function(text) { return text.split(/(,)/); }
+    });
+    var expected = [ [ 0, 'a,' ],
+                     [ -1, 'b' ],
+                     [ 1, 'x' ],
+                     [ 0, ',c' ] ];
+    expect( results ).to.deep.equal( expected );
+  });
+
+  it('Tokenizer must keep the text', function(){
+    var tokenize = function(text) { return text.split(','); };
+    expect( function() { diff('a,b', 'a,c', { tokenize: tokenize }); } )
+      .to.throw(Error, /join back/);
+  });
+
+  it('Tokenizer requires word mode', function(){
+    var tokenize = function(text) { return [text]; };
+    expect( function() { diff('a', 'b', { mode: 'line', tokenize: tokenize }); } )
+      .to.throw(Error, /word mode/);
+  });
+
+  it('Empty texts', function(){
+    expect( diff('', '', { mode: 'word' }) ).to.deep.equal( [] );
+    expect( diff('', 'new words', { mode: 'word' }) )
+      .to.deep.equal( [ [ 1, 'new words' ] ] );
+  });
+
+});
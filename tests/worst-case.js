@@ -0,0 +1,81 @@
+/**
+ * This benchmark diffs low-entropy inputs, on which a naive search for
+ * common substrings goes quadratic, at growing sizes, so the growth of
+ * time and heap can be compared between fast-diff and fast-diff-astral.
+ * Run it with --expose-gc (npm run test-worst-case) for steadier heap
+ * figures.
+ */
+var isEqual = require('lodash.isequal');
+var v8 = require('v8');
+var fastDiff = require('fast-diff');
+var fastDiffAstral = require('../diff.js');
+
+var SIZES = [2500, 5000, 10000, 20000, 40000];
+var WORST_CASES = [
+  function(size) {
+    return ['c' + repeat('a', 2 * size) + 'd', repeat('a', size) + 'b'];
+  },
+  function(size) {
+    var count = Math.floor(size / 7);
+    return ['x' + repeat('GATTACA', 2 * count) + 'y',
+            repeat('GATTACA', count) + 'GATTACC'];
+  },
+  function(size) {
+    return [repeat('a', size) + 'b' + repeat('a', size),
+            'c' + repeat('a', Math.floor(size * 3 / 2)) + 'c'];
+  }
+];
+
+
+WORST_CASES.forEach(function(worstCase, index){
+  console.log('\nWorst case ' + (index + 1) + ':');
+  console.log(pad('size', 8) + pad('fast-diff', 24) + 'fast-diff-astral');
+  SIZES.forEach(function(size){
+    var strings = worstCase(size);
+    var expected = measure(fastDiff, strings);
+    var result = measure(fastDiffAstral, strings);
+    console.log(pad(String(size), 8) + pad(format(expected), 24) +
+                format(result));
+    if (!isEqual(expected.diffs, result.diffs)) {
+      throw new Error('Diff produced different results.');
+    }
+  })
+})
+console.log("\nSuccess!");
+
+
+function repeat(string, count) {
+  return new Array(count + 1).join(string);
+}
+
+
+// Time of one diff, and the heap in use after it (garbage included) over
+// the heap in use before it.
+function measure(diff, strings) {
+  if (global.gc) {
+    global.gc();
+  }
+  var baseline = v8.getHeapStatistics().used_heap_size;
+  var start = process.hrtime();
+  var diffs = diff(strings[0], strings[1]);
+  var time = process.hrtime(start);
+  return {
+    diffs: diffs,
+    milliseconds: time[0] * 1e3 + time[1] / 1e6,
+    bytes: v8.getHeapStatistics().used_heap_size - baseline
+  };
+}
+
+
+function format(measurement) {
+  return measurement.milliseconds.toFixed(1) + 'ms ' +
+         Math.round(measurement.bytes / 1024) + 'kB';
+}
+
+
+function pad(string, length) {
+  while (string.length < length) {
+    string += ' ';
+  }
+  return string;
+}